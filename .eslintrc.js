@@ -24,6 +24,14 @@ module.exports = {
     'no-unused-vars': 'warn',
     'no-console': 'warn'
   },
+  overrides: [
+    {
+      files: ['src/**/__tests__/**/*.js', 'src/**/*.test.js', 'server/**/__tests__/**/*.js'],
+      env: {
+        jest: true
+      }
+    }
+  ],
   settings: {
     react: {
       version: 'detect'
@@ -0,0 +1,33 @@
+// In-memory localforage for tests. Values are copied on the way in and out, like the
+// structured clone IndexedDB does, so tests can't mutate what is "stored".
+const store = new Map();
+
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const localforage = {
+    config: jest.fn(),
+    createInstance: () => localforage,
+
+    async getItem(key) {
+        return store.has(key) ? copy(store.get(key)) : null;
+    },
+
+    async setItem(key, value) {
+        store.set(key, copy(value));
+        return value;
+    },
+
+    async removeItem(key) {
+        store.delete(key);
+    },
+
+    async clear() {
+        store.clear();
+    },
+
+    async keys() {
+        return [...store.keys()];
+    }
+};
+
+module.exports = localforage;
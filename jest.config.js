@@ -15,6 +15,7 @@ module.exports = {
   ],
   testMatch: [
     '<rootDir>/src/**/__tests__/**/*.{js,jsx}',
-    '<rootDir>/src/**/*.(test|spec).{js,jsx}'
+    '<rootDir>/src/**/*.(test|spec).{js,jsx}',
+    '<rootDir>/server/**/__tests__/**/*.js'
   ]
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+const { normalizeVisionResponse } = require('../normalizeVisionResponse');
+const { ProxyError } = require('../proxyError');
+
+describe('normalizeVisionResponse', () => {
+    it('maps labels, localized objects and text', () => {
+        const normalized = normalizeVisionResponse({
+            responses: [{
+                labelAnnotations: [{ description: 'Kettle', score: 0.9, mid: '/m/03s_tn', topicality: 0.9 }],
+                localizedObjectAnnotations: [{
+                    name: 'Kettle',
+                    score: 0.8,
+                    boundingPoly: {
+                        normalizedVertices: [{ x: 0.1, y: 0.2 }, { x: 0.6, y: 0.2 }, { x: 0.6, y: 0.9 }, { x: 0.1, y: 0.9 }]
+                    }
+                }],
+                fullTextAnnotation: { text: ' Model KT-200\n' }
+            }]
+        });
+
+        expect(normalized.labels).toEqual([{ description: 'Kettle', score: 0.9 }]);
+        expect(normalized.objects).toHaveLength(1);
+        expect(normalized.objects[0].boundingBox.x).toBeCloseTo(0.1);
+        expect(normalized.objects[0].boundingBox.width).toBeCloseTo(0.5);
+        expect(normalized.objects[0].boundingBox.height).toBeCloseTo(0.7);
+        expect(normalized.text).toBe('Model KT-200');
+    });
+
+    it('treats missing vertex coordinates as 0 and a missing polygon as no box', () => {
+        const { objects } = normalizeVisionResponse({
+            responses: [{
+                localizedObjectAnnotations: [
+                    { name: 'Box', score: 0.5, boundingPoly: { normalizedVertices: [{}, { x: 0.5 }, { x: 0.5, y: 0.5 }, { y: 0.5 }] } },
+                    { name: 'Ghost', score: 0.4 }
+                ]
+            }]
+        });
+
+        expect(objects[0].boundingBox).toEqual({ x: 0, y: 0, width: 0.5, height: 0.5 });
+        expect(objects[1].boundingBox).toBeNull();
+    });
+
+    it('falls back to the first text annotation', () => {
+        const { text } = normalizeVisionResponse({
+            responses: [{ textAnnotations: [{ description: 'BOSCH\nGSR 12V' }, { description: 'BOSCH' }] }]
+        });
+        expect(text).toBe('BOSCH\nGSR 12V');
+    });
+
+    it('returns empty results for an empty response', () => {
+        expect(normalizeVisionResponse({})).toEqual({ labels: [], objects: [], text: '' });
+        expect(normalizeVisionResponse({ responses: [{}] })).toEqual({ labels: [], objects: [], text: '' });
+    });
+
+    it('throws a 502 ProxyError for an annotation error', () => {
+        const annotate = () => normalizeVisionResponse({ responses: [{ error: { message: 'Bad image data.' } }] });
+
+        expect(annotate).toThrow(ProxyError);
+        expect(annotate).toThrow('Vision API error: Bad image data.');
+        try {
+            annotate();
+        } catch (error) {
+            expect(error.status).toBe(502);
+        }
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * @jest-environment node
+ */
+const { createRateLimiter } = require('../rateLimiter');
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('createRateLimiter', () => {
+    it('allows `max` requests per window and counts down what remains', () => {
+        const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+
+        expect(limiter.check('a')).toMatchObject({ allowed: true, remaining: 1 });
+        expect(limiter.check('a')).toMatchObject({ allowed: true, remaining: 0 });
+        expect(limiter.check('a')).toMatchObject({ allowed: false, remaining: 0, retryAfterSeconds: 60 });
+    });
+
+    it('counts each client separately', () => {
+        const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+
+        expect(limiter.check('a').allowed).toBe(true);
+        expect(limiter.check('b').allowed).toBe(true);
+        expect(limiter.check('a').allowed).toBe(false);
+    });
+
+    it('starts a new window once the old one has passed', () => {
+        const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+        limiter.check('a');
+
+        jest.advanceTimersByTime(45000);
+        expect(limiter.check('a')).toMatchObject({ allowed: false, retryAfterSeconds: 15 });
+
+        jest.advanceTimersByTime(15000);
+        expect(limiter.check('a')).toMatchObject({ allowed: true, remaining: 0 });
+    });
+});
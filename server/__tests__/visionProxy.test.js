@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+const PROXY_ENV = [
+    'VISION_PROXY_STUB',
+    'GOOGLE_VISION_API_KEY',
+    'VISION_PROXY_MAX_BODY_BYTES',
+    'VISION_PROXY_RATE_LIMIT'
+];
+
+const realFetch = global.fetch;
+let proxy;
+let baseUrl;
+
+// A fresh proxy (own config and rate limiter) on a free port
+const startProxy = async (env = {}) => {
+    PROXY_ENV.forEach(key => delete process.env[key]);
+    Object.assign(process.env, env);
+    jest.isolateModules(() => {
+        proxy = require('../visionProxy');
+    });
+    await new Promise(resolve => proxy.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${proxy.server.address().port}`;
+};
+
+const recognize = (body, headers = {}) => realFetch(`${baseUrl}/api/recognize`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+afterEach(async () => {
+    global.fetch = realFetch;
+    PROXY_ENV.forEach(key => delete process.env[key]);
+    if (proxy) {
+        proxy.server.closeAllConnections();
+        await new Promise(resolve => proxy.server.close(resolve));
+        proxy = null;
+    }
+});
+
+describe('stub mode', () => {
+    beforeEach(() => startProxy({ VISION_PROXY_STUB: '1' }));
+
+    it('answers with the normalized canned response', async () => {
+        const response = await recognize({ image: 'data:image/jpeg;base64,aGVsbG8=' });
+        expect(response.status).toBe(200);
+
+        const body = await response.json();
+        expect(body.labels[0]).toEqual({ description: 'Drill', score: 0.94 });
+        expect(body.objects[0]).toMatchObject({ name: 'Drill', boundingBox: { x: 0.08, y: 0.22 } });
+        expect(typeof body.text).toBe('string');
+    });
+
+    it('reports stub mode on the health check', async () => {
+        const response = await realFetch(`${baseUrl}/api/health`);
+        expect(await response.json()).toEqual({ status: 'ok', stubMode: true });
+    });
+
+    it.each([
+        ['invalid JSON', '{"image":'],
+        ['a missing image', {}],
+        ['an empty image', { image: '' }],
+        ['a non-string image', { image: 42 }]
+    ])('rejects %s with 400', async (_, body) => {
+        const response = await recognize(body);
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toEqual(expect.any(String));
+    });
+});
+
+describe('limits', () => {
+    it('rejects an oversized image with 413', async () => {
+        await startProxy({ VISION_PROXY_STUB: '1', VISION_PROXY_MAX_BODY_BYTES: '1024' });
+
+        const response = await recognize({ image: 'a'.repeat(2048) });
+        expect(response.status).toBe(413);
+        expect((await response.json()).error).toMatch(/too large/);
+    });
+
+    it('answers 429 with Retry-After once a client is over the limit', async () => {
+        await startProxy({ VISION_PROXY_STUB: '1', VISION_PROXY_RATE_LIMIT: '2' });
+
+        const first = await recognize({ image: 'aGVsbG8=' });
+        expect(first.headers.get('x-ratelimit-remaining')).toBe('1');
+        expect((await recognize({ image: 'aGVsbG8=' })).status).toBe(200);
+
+        const limited = await recognize({ image: 'aGVsbG8=' });
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    });
+});
+
+describe('upstream errors', () => {
+    const mockVision = (response) => {
+        global.fetch = jest.fn((url, options) => (String(url).startsWith('https://vision.googleapis.com')
+            ? Promise.resolve(response)
+            : realFetch(url, options)));
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        return startProxy({ GOOGLE_VISION_API_KEY: 'test-key' });
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('turns an annotation error into a 502', async () => {
+        mockVision(new Response(JSON.stringify({ responses: [{ error: { code: 3, message: 'Bad image data.' } }] })));
+
+        const response = await recognize({ image: 'aGVsbG8=' });
+        expect(response.status).toBe(502);
+        expect((await response.json()).error).toBe('Vision API error: Bad image data.');
+    });
+
+    it('turns a failed Vision request into a 502', async () => {
+        mockVision(new Response('quota exceeded', { status: 429 }));
+
+        const response = await recognize({ image: 'aGVsbG8=' });
+        expect(response.status).toBe(502);
+    });
+});
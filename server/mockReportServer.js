@@ -0,0 +1,168 @@
+// Mock error report endpoint for local testing. Keeps reports in memory and moves each one
+// through received → reviewing → resolved on a timer so status updates can be seen in the app.
+//
+//   npm run reports:mock
+//
+// The dev server proxies /api/reports here; for a build, point REACT_APP_ERROR_REPORT_URL
+// at http://localhost:3002/api/reports (or at the real report service).
+const http = require('http');
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const config = {
+    port: parseInt(process.env.REPORT_SERVER_PORT, 10) || 3002,
+    allowedOrigin: process.env.REPORT_SERVER_ALLOWED_ORIGIN || 'http://localhost:3000',
+    // Time spent in each status before the mock moves the report on
+    stepMs: parseInt(process.env.REPORT_SERVER_STEP_MS, 10) || 30 * 1000,
+    maxBodyBytes: 64 * 1024
+};
+
+const FIELD_TYPES = ['general', 'step', 'warning', 'ageRestrictions', 'safetyEquipment', 'details'];
+const STATUS_FLOW = ['received', 'reviewing', 'resolved'];
+
+class ReportError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const reports = new Map();
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': config.allowedOrigin
+    });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    req.on('data', chunk => {
+        received += chunk.length;
+        if (received > config.maxBodyBytes) {
+            reject(new ReportError(413, 'Report too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+            reject(new ReportError(400, 'Request body must be valid JSON'));
+        }
+    });
+
+    req.on('error', reject);
+});
+
+const validateReport = (body) => {
+    if (!body || typeof body.objectId !== 'string' || !body.objectId) {
+        throw new ReportError(400, 'Missing "objectId"');
+    }
+    if (typeof body.objectVersion !== 'string' || !body.objectVersion) {
+        throw new ReportError(400, 'Missing "objectVersion"');
+    }
+    if (!body.field || !FIELD_TYPES.includes(body.field.type)) {
+        throw new ReportError(400, `"field.type" must be one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (typeof body.description !== 'string' || !body.description.trim()) {
+        throw new ReportError(400, 'Missing "description"');
+    }
+};
+
+// The status a report has reached by now on the mock's timer
+const currentStatus = (report) => {
+    const steps = Math.floor((Date.now() - report.receivedAt) / config.stepMs);
+    return STATUS_FLOW[Math.min(steps, STATUS_FLOW.length - 1)];
+};
+
+const toResponse = (report) => {
+    const status = currentStatus(report);
+    return {
+        id: report.id,
+        status,
+        resolution: status === 'resolved' ? 'Thanks! The instructions have been corrected.' : null,
+        receivedAt: new Date(report.receivedAt).toISOString()
+    };
+};
+
+const handleCreate = async (req, res) => {
+    const body = await readJsonBody(req);
+    validateReport(body);
+
+    // Retries of a report that already arrived (e.g. the response was lost) get the same id
+    const existing = body.clientId && [...reports.values()].find(report => report.clientId === body.clientId);
+    if (existing) {
+        sendJson(res, 200, toResponse(existing));
+        return;
+    }
+
+    const report = {
+        ...body,
+        id: `rpt-${reports.size + 1}`,
+        receivedAt: Date.now()
+    };
+    reports.set(report.id, report);
+    console.log(`🚨 Report ${report.id} for ${report.objectId}@${report.objectVersion} ` +
+        `(${report.field.type}${report.field.ref ? ` ${report.field.ref}` : ''}): ${report.description}`);
+
+    sendJson(res, 201, toResponse(report));
+};
+
+const server = http.createServer(async (req, res) => {
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': config.allowedOrigin,
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        if (req.method === 'POST' && req.url === '/api/reports') {
+            await handleCreate(req, res);
+            return;
+        }
+
+        if (req.method === 'GET' && req.url === '/api/reports') {
+            sendJson(res, 200, [...reports.values()].map(report => ({ ...report, ...toResponse(report) })));
+            return;
+        }
+
+        const match = req.method === 'GET' && req.url.match(/^\/api\/reports\/([^/?]+)$/);
+        if (match) {
+            const report = reports.get(decodeURIComponent(match[1]));
+            if (!report) throw new ReportError(404, 'Report not found');
+            sendJson(res, 200, toResponse(report));
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            console.error('❌ Report server error:', error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, status, { error: error.status ? error.message : 'Internal server error' });
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(config.port, () => {
+        console.log(`🚨 Mock report server listening on http://localhost:${config.port}`);
+    });
+}
+
+module.exports = { server, config };
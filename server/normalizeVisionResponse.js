@@ -0,0 +1,53 @@
+// Converts a Google Vision annotate response into the provider format used by the client:
+//   { labels: [{ description, score }], objects: [{ name, score, boundingBox }], text }
+const { ProxyError } = require('./proxyError');
+
+const toBoundingBox = (boundingPoly) => {
+    const vertices = (boundingPoly && boundingPoly.normalizedVertices) || [];
+    if (vertices.length === 0) return null;
+
+    const xs = vertices.map(vertex => vertex.x || 0);
+    const ys = vertices.map(vertex => vertex.y || 0);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+
+    return {
+        x,
+        y,
+        width: Math.max(...xs) - x,
+        height: Math.max(...ys) - y
+    };
+};
+
+// Full text found in the image; the first text annotation is the whole block
+const toText = (annotations) => {
+    if (annotations.fullTextAnnotation && annotations.fullTextAnnotation.text) {
+        return annotations.fullTextAnnotation.text.trim();
+    }
+    const [fullText] = annotations.textAnnotations || [];
+    return fullText ? fullText.description.trim() : '';
+};
+
+const normalizeVisionResponse = (visionResponse) => {
+    const annotations = (visionResponse.responses && visionResponse.responses[0]) || {};
+
+    // Vision answers 200 with a per-image error: still an upstream failure, not ours
+    if (annotations.error) {
+        throw new ProxyError(502, `Vision API error: ${annotations.error.message}`);
+    }
+
+    return {
+        labels: (annotations.labelAnnotations || []).map(label => ({
+            description: label.description,
+            score: label.score
+        })),
+        objects: (annotations.localizedObjectAnnotations || []).map(object => ({
+            name: object.name,
+            score: object.score,
+            boundingBox: toBoundingBox(object.boundingPoly)
+        })),
+        text: toText(annotations)
+    };
+};
+
+module.exports = { normalizeVisionResponse };
@@ -0,0 +1,9 @@
+// An error the proxy answers with its own status code and message
+class ProxyError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+module.exports = { ProxyError };
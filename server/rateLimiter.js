@@ -0,0 +1,38 @@
+// Fixed-window rate limiter keyed by client
+const createRateLimiter = ({ windowMs, max }) => {
+    const clients = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        clients.forEach((entry, key) => {
+            if (now - entry.windowStart >= windowMs) {
+                clients.delete(key);
+            }
+        });
+    }, windowMs);
+    cleanup.unref();
+
+    return {
+        check(clientKey) {
+            const now = Date.now();
+            let entry = clients.get(clientKey);
+
+            if (!entry || now - entry.windowStart >= windowMs) {
+                entry = { windowStart: now, count: 0 };
+                clients.set(clientKey, entry);
+            }
+
+            entry.count++;
+            const retryAfterMs = entry.windowStart + windowMs - now;
+
+            return {
+                allowed: entry.count <= max,
+                remaining: Math.max(max - entry.count, 0),
+                retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+            };
+        }
+    };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,43 @@
+// Canned Google Vision response used in stub mode, so the client can be exercised
+// end to end without an API key or network access.
+const stubVisionResponse = {
+    responses: [{
+        labelAnnotations: [
+            { description: 'Drill', score: 0.94 },
+            { description: 'Power tool', score: 0.91 },
+            { description: 'Tool', score: 0.87 },
+            { description: 'Screwdriver', score: 0.62 }
+        ],
+        localizedObjectAnnotations: [
+            {
+                name: 'Drill',
+                score: 0.89,
+                boundingPoly: {
+                    normalizedVertices: [
+                        { x: 0.08, y: 0.22 },
+                        { x: 0.58, y: 0.22 },
+                        { x: 0.58, y: 0.81 },
+                        { x: 0.08, y: 0.81 }
+                    ]
+                }
+            },
+            {
+                name: 'Screwdriver',
+                score: 0.71,
+                boundingPoly: {
+                    normalizedVertices: [
+                        { x: 0.64, y: 0.35 },
+                        { x: 0.93, y: 0.35 },
+                        { x: 0.93, y: 0.52 },
+                        { x: 0.64, y: 0.52 }
+                    ]
+                }
+            }
+        ],
+        textAnnotations: [
+            { description: 'VOLTIX\nVX-18D\n18V Li-ion\nDRILL/DRIVER' }
+        ]
+    }]
+};
+
+module.exports = { stubVisionResponse };
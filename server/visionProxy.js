@@ -0,0 +1,189 @@
+// Recognition proxy: keeps the Google Vision API key on the server and exposes a
+// normalized POST /api/recognize endpoint to the browser.
+//
+//   npm run proxy        # real Google Vision calls (needs GOOGLE_VISION_API_KEY)
+//   npm run proxy:stub   # canned responses, no key or network needed
+const http = require('http');
+const path = require('path');
+const { ProxyError } = require('./proxyError');
+const { createRateLimiter } = require('./rateLimiter');
+const { normalizeVisionResponse } = require('./normalizeVisionResponse');
+const { stubVisionResponse } = require('./stubVisionResponse');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const config = {
+    port: parseInt(process.env.VISION_PROXY_PORT, 10) || 3001,
+    apiKey: process.env.GOOGLE_VISION_API_KEY,
+    stubMode: process.env.VISION_PROXY_STUB === '1',
+    maxBodyBytes: parseInt(process.env.VISION_PROXY_MAX_BODY_BYTES, 10) || 5 * 1024 * 1024,
+    rateLimitWindowMs: parseInt(process.env.VISION_PROXY_RATE_WINDOW_MS, 10) || 60 * 1000,
+    rateLimitMax: parseInt(process.env.VISION_PROXY_RATE_LIMIT, 10) || 30,
+    allowedOrigin: process.env.VISION_PROXY_ALLOWED_ORIGIN || 'http://localhost:3000',
+    trustProxy: process.env.VISION_PROXY_TRUST_PROXY === '1'
+};
+
+const VISION_FEATURES = [
+    { type: 'LABEL_DETECTION', maxResults: 10 },
+    { type: 'OBJECT_LOCALIZATION', maxResults: 10 },
+    // Brand names and model numbers printed on the object
+    { type: 'TEXT_DETECTION' }
+];
+
+const rateLimiter = createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMax
+});
+
+const getClientKey = (req) => {
+    if (config.trustProxy && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': config.allowedOrigin,
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > config.maxBodyBytes) {
+        reject(new ProxyError(413, `Image too large (max ${config.maxBodyBytes} bytes)`));
+        return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+        if (tooLarge) return;
+
+        received += chunk.length;
+        if (received > config.maxBodyBytes) {
+            tooLarge = true;
+            reject(new ProxyError(413, `Image too large (max ${config.maxBodyBytes} bytes)`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        if (tooLarge) return;
+
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+            reject(new ProxyError(400, 'Request body must be valid JSON'));
+        }
+    });
+
+    req.on('error', reject);
+});
+
+const callVisionApi = async (imageContent) => {
+    if (config.stubMode) {
+        return stubVisionResponse;
+    }
+    if (!config.apiKey) {
+        throw new ProxyError(503, 'Recognition service is not configured');
+    }
+
+    const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${config.apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            requests: [{
+                image: { content: imageContent },
+                features: VISION_FEATURES
+            }]
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error('❌ Vision API error:', response.status, errorText);
+        throw new ProxyError(502, `Vision API request failed: ${response.status}`);
+    }
+
+    return response.json();
+};
+
+const handleRecognize = async (req, res) => {
+    const limit = rateLimiter.check(getClientKey(req));
+    if (!limit.allowed) {
+        sendJson(res, 429, { error: 'Too many recognition requests, please wait a moment' }, {
+            'Retry-After': String(limit.retryAfterSeconds)
+        });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body || typeof body.image !== 'string' || body.image.length === 0) {
+        throw new ProxyError(400, 'Missing "image" (base64 or data URL)');
+    }
+
+    // Accept either a data URL or raw base64
+    const imageContent = body.image.includes(',') ? body.image.split(',')[1] : body.image;
+    const visionResponse = await callVisionApi(imageContent);
+
+    sendJson(res, 200, normalizeVisionResponse(visionResponse), {
+        'X-RateLimit-Remaining': String(limit.remaining)
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': config.allowedOrigin,
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && req.url === '/api/health') {
+            sendJson(res, 200, { status: 'ok', stubMode: config.stubMode });
+            return;
+        }
+
+        if (req.method === 'POST' && req.url === '/api/recognize') {
+            await handleRecognize(req, res);
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            console.error('❌ Proxy error:', error);
+        }
+        if (!res.headersSent) {
+            const message = error.status ? error.message : 'Internal proxy error';
+            if (status === 413) {
+                // Stop receiving the rest of an oversized upload
+                res.on('finish', () => req.destroy());
+                sendJson(res, status, { error: message }, { Connection: 'close' });
+            } else {
+                sendJson(res, status, { error: message });
+            }
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(config.port, () => {
+        console.log(`🛰️ Recognition proxy listening on http://localhost:${config.port}` +
+            (config.stubMode ? ' (stub mode)' : ''));
+    });
+}
+
+module.exports = { server, config };
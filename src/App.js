@@ -5,7 +5,13 @@ import ObjectDetails from './components/ObjectDetails';
 import Navigation from './components/Navigation';
 import SearchPage from './components/SearchPage';
 import CommunityPage from './components/CommunityPage';
+import LibraryPage from './components/LibraryPage';
+import ReportsPage from './components/ReportsPage';
+import HistoryPage from './components/HistoryPage';
+import TaxonomyAdmin from './components/TaxonomyAdmin';
+import NotFound from './components/NotFound';
 import { ObjectProvider } from './services/ObjectContext';
+import { startErrorReportSync } from './services/errorReportService';
 
 function App() {
     const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -23,6 +29,9 @@ function App() {
         };
     }, []);
 
+    // Error reports made offline go out once the connection is back
+    useEffect(() => startErrorReportSync(), []);
+
     return (
         <ObjectProvider>
             <div className="app">
@@ -36,7 +45,12 @@ function App() {
                     <Route path="/" element={<CameraCapture />} />
                     <Route path="/object/:id" element={<ObjectDetails />} />
                     <Route path="/search" element={<SearchPage />} />
+                    <Route path="/history" element={<HistoryPage />} />
+                    <Route path="/library" element={<LibraryPage />} />
+                    <Route path="/reports" element={<ReportsPage />} />
                     <Route path="/community" element={<CommunityPage />} />
+                    <Route path="/admin/taxonomy" element={<TaxonomyAdmin />} />
+                    <Route path="*" element={<NotFound />} />
                 </Routes>
                 
                 <Navigation />
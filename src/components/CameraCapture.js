@@ -1,23 +1,62 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useObject } from '../services/ObjectContext';
+import DetectedObjectSelector from './DetectedObjectSelector';
+import CandidateChooser from './CandidateChooser';
+import ImageCropper from './ImageCropper';
+import { useLiveRecognition } from '../services/useLiveRecognition';
+import { useSpeechRecognition } from '../services/useSpeechRecognition';
+import { fixImageOrientation, analyzeImageQuality } from '../utils/imagePreprocessor';
+
+const MAX_ANGLES = 5;
+const VOICE_IDENTIFY_PATTERN = /\b(identify|what is this|what's this)\b/i;
 
 const CameraCapture = () => {
     const [isStreaming, setIsStreaming] = useState(false);
-    const [capturedImage, setCapturedImage] = useState(null);
-    const [showCropGuide, setShowCropGuide] = useState(true);
+    // Each shot is one angle of the same object: { image, original, fileName }
+    const [shots, setShots] = useState([]);
+    const [activeShot, setActiveShot] = useState(0);
+    const [isAddingAngle, setIsAddingAngle] = useState(false);
+    const [isCropping, setIsCropping] = useState(false);
     const [facingMode, setFacingMode] = useState('environment');
+    const [liveMode, setLiveMode] = useState(false);
+    const [voiceMode, setVoiceMode] = useState(false);
+    const [torchSupported, setTorchSupported] = useState(false);
+    const [torchOn, setTorchOn] = useState(false);
+    const [qualityWarnings, setQualityWarnings] = useState([]);
     
     const videoRef = useRef(null);
+    const streamRef = useRef(null);
     const canvasRef = useRef(null);
     const navigate = useNavigate();
-    const { identifyObject, loading, currentObject, error } = useObject();
+    const {
+        identifyObject,
+        identifyObjectFromAngles,
+        selectDetectedObject,
+        clearDetectedObjects,
+        detectedObjects,
+        pendingCandidates,
+        chooseCandidate,
+        dismissCandidates,
+        loading,
+        currentObject,
+        identificationCount,
+        error,
+        demoMode,
+        setDemoMode
+    } = useObject();
+
+    const capturedImage = shots[activeShot]?.image || null;
+    const showCamera = shots.length === 0 || isAddingAngle;
 
+    // Follow objects identified here, not one that was already open when the camera mounted.
+    // Counting identifications catches a scan that finds the same object again.
+    const initialCountRef = useRef(identificationCount);
     useEffect(() => {
-        if (currentObject) {
+        if (currentObject && identificationCount !== initialCountRef.current) {
             navigate(`/object/${currentObject.id}`);
         }
-    }, [currentObject, navigate]);
+    }, [identificationCount]);
 
     const startCamera = async () => {
         try {
@@ -29,24 +68,40 @@ const CameraCapture = () => {
                 }
             };
 
-            const stream = await navigator.mediaDevices.getUserMedia(constraints);
-            videoRef.current.srcObject = stream;
-            setIsStreaming(true);
+            return await navigator.mediaDevices.getUserMedia(constraints);
         } catch (error) {
             console.error('Error accessing camera:', error);
             alert('Unable to access camera. Please ensure you have given permission.');
+            return null;
         }
     };
 
+    // Tracks are stopped through the stream ref because the <video> may already be unmounted
     const stopCamera = () => {
-        if (videoRef.current && videoRef.current.srcObject) {
-            const tracks = videoRef.current.srcObject.getTracks();
-            tracks.forEach(track => track.stop());
-            setIsStreaming(false);
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach(track => track.stop());
+            streamRef.current = null;
         }
+        if (videoRef.current) {
+            videoRef.current.srcObject = null;
+        }
+        setIsStreaming(false);
+        setTorchOn(false);
     };
 
-    const captureImage = () => {
+    const toggleTorch = async () => {
+        const [track] = streamRef.current ? streamRef.current.getVideoTracks() : [];
+        if (!track) return;
+
+        try {
+            await track.applyConstraints({ advanced: [{ torch: !torchOn }] });
+            setTorchOn(!torchOn);
+        } catch (error) {
+            console.error('Failed to toggle torch:', error);
+        }
+    };
+
+    const grabFrame = () => {
         const video = videoRef.current;
         const canvas = canvasRef.current;
         const context = canvas.getContext('2d');
@@ -56,53 +111,206 @@ const CameraCapture = () => {
         
         context.drawImage(video, 0, 0, canvas.width, canvas.height);
         
-        const imageData = canvas.toDataURL('image/jpeg', 0.8);
-        setCapturedImage(imageData);
-        setShowCropGuide(false);
-        stopCamera();
+        return canvas.toDataURL('image/jpeg', 0.8);
+    };
+
+    const captureImage = () => {
+        addShot(grabFrame(), null);
+    };
+
+    // Live mode settled on one object: keep the full frame and identify it right away
+    const handleLiveStable = () => {
+        const imageData = grabFrame();
+        setLiveMode(false);
+        setShots([{ image: imageData, original: imageData, fileName: null }]);
+        setActiveShot(0);
+        setIsAddingAngle(false);
+        identifyObject(imageData);
     };
 
+    const { guess: liveGuess, status: liveStatus, stableFrames } = useLiveRecognition({
+        videoRef,
+        enabled: liveMode && showCamera && isStreaming && !demoMode,
+        onStable: handleLiveStable
+    });
+
+    // Hands-free: "identify" takes the photo if needed and identifies it, skipping the
+    // crop step; said again over a quality warning it identifies anyway
+    const identifyByVoice = () => {
+        if (loading || isCropping) return;
+
+        if (!showCamera) {
+            analyzeImage({ skipQualityCheck: qualityWarnings.length > 0 });
+            return;
+        }
+        if (!isStreaming) return;
+
+        const imageData = grabFrame();
+        const newShot = { image: imageData, original: imageData, fileName: null };
+        const allShots = isAddingAngle ? [...shots, newShot] : [newShot];
+        setLiveMode(false);
+        setShots(allShots);
+        setActiveShot(allShots.length - 1);
+        setIsAddingAngle(false);
+
+        if (allShots.length > 1) {
+            identifyObjectFromAngles(allShots.map(shot => ({ image: shot.image, fileName: shot.fileName })));
+        } else {
+            identifyObject(imageData);
+        }
+    };
+
+    const voice = useSpeechRecognition({
+        continuous: true,
+        onResult: (transcript) => {
+            if (VOICE_IDENTIFY_PATTERN.test(transcript)) {
+                identifyByVoice();
+            }
+        }
+    });
+
+    const toggleVoiceMode = () => {
+        if (voiceMode) {
+            voice.stop();
+        } else {
+            voice.start();
+        }
+        setVoiceMode(!voiceMode);
+    };
+
+    // The browser can end listening on its own (permission denied, no microphone)
+    useEffect(() => {
+        if (voiceMode && !voice.listening && voice.error) {
+            setVoiceMode(false);
+        }
+    }, [voiceMode, voice.listening, voice.error]);
+
     const retakePhoto = () => {
-        setCapturedImage(null);
-        setShowCropGuide(true);
-        startCamera();
+        clearDetectedObjects();
+        setQualityWarnings([]);
+        setShots([]);
+        setActiveShot(0);
+        setIsAddingAngle(false);
+        setIsCropping(false);
+    };
+
+    // Every capture and upload goes through the crop step; the uncropped photo is kept for re-cropping.
+    // A manual shot ends live mode, which would otherwise replace the shots when it settles.
+    const addShot = (imageData, fileName) => {
+        setLiveMode(false);
+        setQualityWarnings([]);
+        setActiveShot(shots.length);
+        setShots(prev => [...prev, { image: imageData, original: imageData, fileName }]);
+        setIsAddingAngle(false);
+        setIsCropping(true);
+    };
+
+    const applyCrop = (croppedImage) => {
+        setShots(prev => prev.map((shot, index) =>
+            index === activeShot ? { ...shot, image: croppedImage } : shot
+        ));
+        setIsCropping(false);
+    };
+
+    const removeShot = (index) => {
+        clearDetectedObjects();
+        setQualityWarnings([]);
+        setShots(prev => prev.filter((_, shotIndex) => shotIndex !== index));
+        setActiveShot(prev => Math.max(0, prev >= index ? prev - 1 : prev));
     };
 
-    const analyzeImage = async () => {
-        if (capturedImage) {
-            console.log('Starting object analysis...');
-            await identifyObject(capturedImage);
+    // Check for dark or blurry shots before spending a recognition call on them
+    const checkImageQuality = async () => {
+        const warnings = [];
+        for (const [index, shot] of shots.entries()) {
+            const quality = await analyzeImageQuality(shot.image).catch(() => null);
+            if (!quality) continue;
+
+            const prefix = shots.length > 1 ? `Angle ${index + 1}: ` : '';
+            if (quality.isDark) {
+                warnings.push(`${prefix}Image too dark, ${torchSupported ? 'turn on the torch 🔦' : 'add more light'} and retake`);
+            }
+            if (quality.isBlurry) {
+                warnings.push(`${prefix}Image looks blurry, hold the camera steady and retake`);
+            }
+        }
+        return warnings;
+    };
+
+    const analyzeImage = async ({ skipQualityCheck = false } = {}) => {
+        if (shots.length === 0) return;
+
+        if (!skipQualityCheck) {
+            const warnings = await checkImageQuality();
+            if (warnings.length > 0) {
+                setQualityWarnings(warnings);
+                return;
+            }
+        }
+        setQualityWarnings([]);
+
+        console.log(`Starting object analysis (${shots.length} angle${shots.length > 1 ? 's' : ''})...`);
+        if (shots.length > 1) {
+            await identifyObjectFromAngles(shots.map(shot => ({ image: shot.image, fileName: shot.fileName })));
+        } else {
+            await identifyObject(shots[0].image, { fileName: shots[0].fileName });
         }
     };
 
     const switchCamera = () => {
         setFacingMode(prev => prev === 'environment' ? 'user' : 'environment');
-        stopCamera();
-        setTimeout(startCamera, 100);
     };
 
     const handleFileUpload = (event) => {
         const file = event.target.files[0];
         if (file && file.type.startsWith('image/')) {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                setCapturedImage(e.target.result);
-                setShowCropGuide(false);
-                stopCamera();
+            reader.onload = async (e) => {
+                const imageData = await fixImageOrientation(e.target.result).catch(() => e.target.result);
+                addShot(imageData, file.name);
             };
             reader.readAsDataURL(file);
         }
+        event.target.value = '';
     };
 
+    // Run the camera only while the viewfinder is on screen
     useEffect(() => {
-        startCamera();
-        return () => stopCamera();
-    }, [facingMode]);
+        if (!showCamera) return undefined;
+
+        let cancelled = false;
+        startCamera().then(stream => {
+            if (!stream) return;
+            if (cancelled || !videoRef.current) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            streamRef.current = stream;
+            videoRef.current.srcObject = stream;
+            setIsStreaming(true);
+
+            const [track] = stream.getVideoTracks();
+            const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+            setTorchSupported(!!capabilities.torch);
+        });
+
+        return () => {
+            cancelled = true;
+            stopCamera();
+        };
+    }, [facingMode, showCamera]);
 
     return (
         <div className="camera-capture">
+            {demoMode && (
+                <div className="demo-banner">
+                    <h4>🎮 Demo Mode</h4>
+                    <p>Results come from demo fixture images, not real recognition</p>
+                </div>
+            )}
+
             <div className="camera-container">
-                {!capturedImage ? (
+                {showCamera ? (
                     <div className="video-container">
                         <video
                             ref={videoRef}
@@ -112,7 +320,25 @@ const CameraCapture = () => {
                             className="camera-video"
                         />
                         
-                        {showCropGuide && isStreaming && (
+                        {liveMode && isStreaming && (
+                            <div className={`live-chip ${liveStatus}`}>
+                                <span className="live-dot"></span>
+                                {liveStatus === 'unavailable' ? 'Live recognition unavailable'
+                                    : liveStatus === 'paused' ? 'Paused'
+                                    : liveGuess ? (
+                                        <>
+                                            {liveGuess.name} · {liveGuess.confidence}%
+                                            {liveGuess.streak > 0 && (
+                                                <span className="live-streak">
+                                                    {' '}{Math.min(liveGuess.streak, stableFrames)}/{stableFrames}
+                                                </span>
+                                            )}
+                                        </>
+                                    ) : 'Looking…'}
+                            </div>
+                        )}
+
+                        {isStreaming && (
                             <div className="crop-guide">
                                 <div className="crop-frame">
                                     <div className="corner corner-tl"></div>
@@ -120,10 +346,22 @@ const CameraCapture = () => {
                                     <div className="corner corner-bl"></div>
                                     <div className="corner corner-br"></div>
                                 </div>
-                                <p className="guide-text">Center the object in the frame</p>
+                                <p className="guide-text">
+                                    {isAddingAngle
+                                        ? `Angle ${shots.length + 1}: move around the object`
+                                        : 'Center the object in the frame'}
+                                </p>
                             </div>
                         )}
                     </div>
+                ) : isCropping ? (
+                    <ImageCropper image={shots[activeShot].original} onApply={applyCrop} />
+                ) : detectedObjects.length > 0 ? (
+                    <DetectedObjectSelector
+                        image={capturedImage}
+                        detectedObjects={detectedObjects}
+                        onSelect={selectDetectedObject}
+                    />
                 ) : (
                     <div className="captured-image-container">
                         <img src={capturedImage} alt="Captured object" className="captured-image" />
@@ -133,6 +371,40 @@ const CameraCapture = () => {
                                 <p>Analyzing object...</p>
                             </div>
                         )}
+                        {pendingCandidates && !loading && (
+                            <div className="candidate-overlay">
+                                <CandidateChooser
+                                    title="Did you mean…"
+                                    candidates={pendingCandidates.candidates}
+                                    onChoose={chooseCandidate}
+                                    onDismiss={dismissCandidates}
+                                    dismissLabel={pendingCandidates.fallback
+                                        ? `None of these (use "${pendingCandidates.fallback.object.name}")`
+                                        : 'None of these'}
+                                />
+                            </div>
+                        )}
+                        {qualityWarnings.length > 0 && !loading && (
+                            <div className="quality-overlay">
+                                <h4>⚠️ Check Your Photo</h4>
+                                <ul>
+                                    {qualityWarnings.map((warning, index) => (
+                                        <li key={index}>{warning}</li>
+                                    ))}
+                                </ul>
+                                <div className="error-actions">
+                                    <button onClick={retakePhoto} className="retry-btn">
+                                        📸 Retake
+                                    </button>
+                                    <button
+                                        onClick={() => analyzeImage({ skipQualityCheck: true })}
+                                        className="search-btn"
+                                    >
+                                        Identify Anyway
+                                    </button>
+                                </div>
+                            </div>
+                        )}
                         {error && (
                             <div className="error-overlay">
                                 <div className="error-icon">X</div>
@@ -152,10 +424,39 @@ const CameraCapture = () => {
                 )}
             </div>
 
+            {shots.length > 1 && !isCropping && (
+                <div className="angle-strip">
+                    {shots.map((shot, index) => (
+                        <div
+                            key={index}
+                            className={`angle-thumb ${index === activeShot && !isAddingAngle ? 'active' : ''}`}
+                        >
+                            <img
+                                src={shot.image}
+                                alt={`Angle ${index + 1}`}
+                                onClick={() => {
+                                    setActiveShot(index);
+                                    setIsAddingAngle(false);
+                                }}
+                            />
+                            <span className="angle-number">{index + 1}</span>
+                            <button
+                                className="angle-remove"
+                                onClick={() => removeShot(index)}
+                                disabled={loading}
+                                aria-label={`Remove angle ${index + 1}`}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             <canvas ref={canvasRef} style={{ display: 'none' }} />
 
             <div className="camera-controls">
-                {!capturedImage ? (
+                {showCamera ? (
                     <>
                         <div className="control-row">
                             <button 
@@ -174,6 +475,17 @@ const CameraCapture = () => {
                                 📸
                             </button>
                             
+                            {torchSupported && (
+                                <button
+                                    className={`control-btn secondary ${torchOn ? 'active' : ''}`}
+                                    onClick={toggleTorch}
+                                    disabled={!isStreaming}
+                                    aria-label={torchOn ? 'Turn torch off' : 'Turn torch on'}
+                                >
+                                    🔦
+                                </button>
+                            )}
+
                             <label className="control-btn secondary upload-btn">
                                 📁
                                 <input
@@ -184,14 +496,33 @@ const CameraCapture = () => {
                                 />
                             </label>
                         </div>
+
+                        {!isAddingAngle && !demoMode && (
+                            <button
+                                className={`toggle-btn live-toggle ${liveMode ? 'active' : ''}`}
+                                onClick={() => setLiveMode(!liveMode)}
+                                disabled={!isStreaming}
+                            >
+                                {liveMode ? '⏹️ Stop Live' : '🔴 Live'}
+                            </button>
+                        )}
                         
+                        {isAddingAngle && (
+                            <button
+                                className="control-btn secondary"
+                                onClick={() => setIsAddingAngle(false)}
+                            >
+                                Cancel Extra Angle
+                            </button>
+                        )}
+
                         <div className="help-text">
                             <p>Point your camera at any object</p>
                             <p>Center it in the frame for best results</p>
                             <p>Use good lighting for accurate recognition</p>
                         </div>
                     </>
-                ) : (
+                ) : !isCropping && (
                     <div className="analysis-controls">
                         <button
                             className="control-btn secondary"
@@ -200,10 +531,32 @@ const CameraCapture = () => {
                         >
                             ↩️ Retake
                         </button>
-                        
+
+                        <button
+                            className="control-btn secondary"
+                            onClick={() => setIsCropping(true)}
+                            disabled={loading}
+                        >
+                            ✂️ Crop
+                        </button>
+
+                        {shots.length < MAX_ANGLES && (
+                            <button
+                                className="control-btn secondary"
+                                onClick={() => {
+                                    clearDetectedObjects();
+                                    setIsAddingAngle(true);
+                                }}
+                                disabled={loading}
+                            >
+                                📐 Add Angle ({shots.length}/{MAX_ANGLES})
+                            </button>
+                        )}
+
+
                         <button
                             className="analyze-btn primary"
-                            onClick={analyzeImage}
+                            onClick={() => analyzeImage()}
                             disabled={loading}
                         >
                             {loading ? '🔍 Analyzing...' : '🎯 Identify Object'}
@@ -212,14 +565,41 @@ const CameraCapture = () => {
                 )}
             </div>
 
+            {voice.supported && (
+                <div className="voice-control">
+                    <button
+                        className={`toggle-btn ${voiceMode ? 'active' : ''}`}
+                        onClick={toggleVoiceMode}
+                    >
+                        {voiceMode ? '🎤 Listening for "identify"' : '🎤 Voice Control'}
+                    </button>
+                    {voiceMode && voice.interim && (
+                        <span className="voice-status">{voice.interim}</span>
+                    )}
+                    {voice.error && !voice.listening && (
+                        <span className="voice-status error">{voice.error}</span>
+                    )}
+                </div>
+            )}
+
             <div className="quick-tips">
                 <h3>Quick Tips</h3>
                 <ul>
                     <li>Ensure good lighting for better recognition</li>
                     <li>Keep the object centered and in focus</li>
                     <li>Try different angles if not recognized</li>
+                    <li>Include the barcode or QR label for an exact product match</li>
+                    <li>Hands full? Turn on voice control and say &quot;identify&quot;</li>
                     <li>Works offline with cached objects</li>
                 </ul>
+                <label className="demo-toggle">
+                    <input
+                        type="checkbox"
+                        checked={demoMode}
+                        onChange={(e) => setDemoMode(e.target.checked)}
+                    />
+                    Demo mode (recognize fixture images only)
+                </label>
             </div>
         </div>
     );
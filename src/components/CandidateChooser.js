@@ -0,0 +1,46 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const CandidateChooser = ({ title, candidates, onChoose, onDismiss, dismissLabel }) => {
+    return (
+        <div className="candidate-chooser">
+            <h4>{title}</h4>
+            <div className="candidate-list">
+                {candidates.map(candidate => (
+                    <button
+                        key={candidate.object.id}
+                        className="candidate-option"
+                        onClick={() => onChoose(candidate.object.id)}
+                    >
+                        <span className="candidate-name">{candidate.object.name}</span>
+                        <span className="candidate-meta">
+                            {candidate.confidence}% · seen as &quot;{candidate.detectedAs}&quot;
+                        </span>
+                    </button>
+                ))}
+            </div>
+            {onDismiss && (
+                <button className="candidate-dismiss" onClick={onDismiss}>
+                    {dismissLabel || 'None of these'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+CandidateChooser.propTypes = {
+    title: PropTypes.string.isRequired,
+    candidates: PropTypes.arrayOf(PropTypes.shape({
+        object: PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            name: PropTypes.string.isRequired
+        }).isRequired,
+        confidence: PropTypes.number.isRequired,
+        detectedAs: PropTypes.string
+    })).isRequired,
+    onChoose: PropTypes.func.isRequired,
+    onDismiss: PropTypes.func,
+    dismissLabel: PropTypes.string
+};
+
+export default CandidateChooser;
@@ -0,0 +1,64 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const DetectedObjectSelector = ({ image, detectedObjects, onSelect }) => {
+    const toPercent = (value) => `${(value * 100).toFixed(2)}%`;
+
+    return (
+        <div className="object-selector">
+            <div className="selector-image-wrapper">
+                <img src={image} alt="Captured scene" className="selector-image" />
+                {detectedObjects.map((detected, index) => (
+                    <button
+                        key={index}
+                        className="detection-box"
+                        style={{
+                            left: toPercent(detected.boundingBox.x),
+                            top: toPercent(detected.boundingBox.y),
+                            width: toPercent(detected.boundingBox.width),
+                            height: toPercent(detected.boundingBox.height)
+                        }}
+                        onClick={() => onSelect(index)}
+                        aria-label={`Select ${detected.name}`}
+                    >
+                        <span className="detection-label">
+                            {detected.name} · {Math.round(detected.score * 100)}%
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            <p className="selector-hint">
+                We found {detectedObjects.length} objects. Tap the one you want instructions for.
+            </p>
+            <div className="selector-options">
+                {detectedObjects.map((detected, index) => (
+                    <button
+                        key={index}
+                        className="selector-option"
+                        onClick={() => onSelect(index)}
+                    >
+                        {detected.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+DetectedObjectSelector.propTypes = {
+    image: PropTypes.string.isRequired,
+    detectedObjects: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        score: PropTypes.number.isRequired,
+        boundingBox: PropTypes.shape({
+            x: PropTypes.number.isRequired,
+            y: PropTypes.number.isRequired,
+            width: PropTypes.number.isRequired,
+            height: PropTypes.number.isRequired
+        }).isRequired
+    })).isRequired,
+    onSelect: PropTypes.func.isRequired
+};
+
+export default DetectedObjectSelector;
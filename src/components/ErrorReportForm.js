@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { cacheService } from '../services/cacheService';
+import { getReportableFields, submitErrorReport, REPORT_STATUSES } from '../services/errorReportService';
+
+const ErrorReportForm = ({ object, initialField = 'general', onClose }) => {
+    const fields = getReportableFields(object);
+    const [fieldValue, setFieldValue] = useState(
+        fields.some(option => option.value === initialField) ? initialField : 'general'
+    );
+    const [description, setDescription] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [submitted, setSubmitted] = useState(null);
+    const [pastReports, setPastReports] = useState([]);
+
+    useEffect(() => {
+        cacheService.getErrorReports().then(reports => {
+            setPastReports(reports.filter(report => report.objectId === object.id));
+        });
+    }, [object.id, submitted]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError(null);
+        try {
+            setSubmitted(await submitErrorReport(object, fieldValue, description));
+            setDescription('');
+        } catch (submitError) {
+            setError(submitError.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="share-dialog report-dialog" role="dialog" aria-label="Report an error">
+            <div className="share-header">
+                <h3>🚨 Report an Error</h3>
+                <button className="candidate-dismiss" onClick={onClose} aria-label="Close">×</button>
+            </div>
+
+            {submitted ? (
+                <p className="share-status">
+                    {submitted.status === 'queued'
+                        ? "📥 Saved. It will be sent when you're back online."
+                        : submitted.status === 'failed'
+                            ? `⚠️ The report wasn't accepted: ${submitted.lastError}`
+                            : '✅ Thanks! Your report was sent.'}
+                </p>
+            ) : (
+                <form className="report-form" onSubmit={handleSubmit}>
+                    <label>
+                        What is wrong?
+                        <select value={fieldValue} onChange={(e) => setFieldValue(e.target.value)}>
+                            {fields.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Details
+                        <textarea
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            placeholder="What's incorrect or missing, and what should it say?"
+                            rows={4}
+                            required
+                        />
+                    </label>
+                    {error && <p className="library-error">{error}</p>}
+                    <button type="submit" className="analyze-btn primary" disabled={busy || !description.trim()}>
+                        {busy ? 'Sending…' : 'Send Report'}
+                    </button>
+                </form>
+            )}
+
+            {pastReports.length > 0 && (
+                <div className="report-history">
+                    <h4>Your reports for this object</h4>
+                    <ul>
+                        {pastReports.map(report => (
+                            <li key={report.id}>
+                                {REPORT_STATUSES[report.status]?.icon} {report.field.label}
+                                <span className="report-status"> · {REPORT_STATUSES[report.status]?.label}</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <Link to="/reports" className="share-card-link">All my reports →</Link>
+                </div>
+            )}
+        </div>
+    );
+};
+
+ErrorReportForm.propTypes = {
+    object: PropTypes.object.isRequired,
+    initialField: PropTypes.string,
+    onClose: PropTypes.func.isRequired
+};
+
+export default ErrorReportForm;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useObject } from '../services/ObjectContext';
+import { cacheService } from '../services/cacheService';
+
+const SOURCE_LABELS = {
+    database: '📚 Database',
+    dynamic: '🤖 Generated',
+    demo: '🎭 Demo',
+    barcode: '🏷️ Barcode'
+};
+
+const matchesQuery = (entry, needle) =>
+    [entry.name, entry.category, entry.brand, entry.model, entry.recognizedText, ...(entry.tags || [])]
+        .some(field => field && field.toLowerCase().includes(needle));
+
+const HistoryPage = () => {
+    const navigate = useNavigate();
+    const { identifiedObjects, reopenIdentification, deleteIdentification, setIdentificationPinned } = useObject();
+    const [query, setQuery] = useState('');
+    const [photos, setPhotos] = useState({});
+
+    // Captured photos are stored separately from the entries (see cacheService.saveThumbnail)
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(identifiedObjects.map(async entry => {
+            const id = entry.identification.id;
+            return [id, await cacheService.getThumbnail(id)];
+        })).then(loaded => {
+            if (!cancelled) setPhotos(Object.fromEntries(loaded.filter(([, photo]) => photo)));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [identifiedObjects]);
+
+    const needle = query.trim().toLowerCase();
+    const entries = identifiedObjects
+        .filter(entry => !needle || matchesQuery(entry, needle))
+        // Pinned first, otherwise newest first as stored
+        .sort((a, b) => Number(b.identification.pinned) - Number(a.identification.pinned));
+
+    const handleOpen = async (entry) => {
+        await reopenIdentification(entry);
+        navigate(`/object/${entry.id}`);
+    };
+
+    return (
+        <div className="library-page history-page">
+            <div className="search-header">
+                <h1>Identification History</h1>
+                <p>Everything you&apos;ve scanned on this device</p>
+            </div>
+
+            <div className="search-input-container">
+                <input
+                    type="text"
+                    className="search-input"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Search your scans by name, brand or model..."
+                />
+            </div>
+
+            {entries.length === 0 ? (
+                <div className="empty-state">
+                    <p>
+                        {needle
+                            ? 'No scans match your search.'
+                            : 'No identifications yet. Point the camera at an object to get started.'}
+                    </p>
+                </div>
+            ) : (
+                <div className="library-list">
+                    {entries.map(entry => {
+                        const { id, confidence, source, provider, pinned } = entry.identification;
+                        return (
+                            <div key={id} className={`library-item history-item ${pinned ? 'pinned' : ''}`}>
+                                <button className="history-open" onClick={() => handleOpen(entry)}>
+                                    {photos[id] || entry.image ? (
+                                        <img className="history-thumbnail" src={photos[id] || entry.image} alt="" />
+                                    ) : (
+                                        <div className="history-thumbnail object-image-placeholder">
+                                            {entry.category.slice(0, 3).toUpperCase()}
+                                        </div>
+                                    )}
+                                    <div className="history-details">
+                                        <h4>{entry.name}</h4>
+                                        <span className="object-category">{entry.category}</span>
+                                        <p className="report-meta">
+                                            {new Date(entry.timestamp).toLocaleString()}
+                                            {confidence !== null && ` · ${confidence}% match`}
+                                            {(source || provider) && ` · ${SOURCE_LABELS[source] || provider || source}`}
+                                        </p>
+                                    </div>
+                                </button>
+                                <div className="library-item-actions">
+                                    <button
+                                        className={`toggle-btn ${pinned ? 'active' : ''}`}
+                                        onClick={() => setIdentificationPinned(id, !pinned)}
+                                        aria-label={pinned ? `Unpin ${entry.name}` : `Pin ${entry.name}`}
+                                        title={pinned ? 'Unpin' : 'Pin: keep this scan at the top and never drop it'}
+                                    >
+                                        📌
+                                    </button>
+                                    <button
+                                        className="toggle-btn"
+                                        onClick={() => deleteIdentification(id)}
+                                        aria-label={`Delete ${entry.name} from history`}
+                                    >
+                                        🗑️
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPage;
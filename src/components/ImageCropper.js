@@ -0,0 +1,205 @@
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { fabric } from 'fabric';
+import { rotateImage, cropImage } from '../utils/imageCanvas';
+
+const CANVAS_HEIGHT = 300;
+const INITIAL_CROP_RATIO = 0.7;
+const SIDE_CONTROLS = ['mt', 'mb', 'ml', 'mr'];
+
+const ImageCropper = ({ image, onApply }) => {
+    const [workingImage, setWorkingImage] = useState(image);
+    const [aspectLocked, setAspectLocked] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const containerRef = useRef(null);
+    const canvasElementRef = useRef(null);
+    const fabricRef = useRef(null);
+    const imageObjectRef = useRef(null);
+    const cropRectRef = useRef(null);
+
+    useEffect(() => {
+        setWorkingImage(image);
+    }, [image]);
+
+    useEffect(() => {
+        const width = containerRef.current?.clientWidth || 360;
+        const canvas = new fabric.Canvas(canvasElementRef.current, {
+            width,
+            height: CANVAS_HEIGHT,
+            selection: false,
+            backgroundColor: '#000'
+        });
+        fabricRef.current = canvas;
+        // The image can finish loading after this effect has been cleaned up
+        let cancelled = false;
+
+        fabric.Image.fromURL(workingImage, (imageObject) => {
+            if (cancelled) return;
+
+            // Fit the photo inside the canvas
+            const scale = Math.min(width / imageObject.width, CANVAS_HEIGHT / imageObject.height);
+            imageObject.set({
+                scaleX: scale,
+                scaleY: scale,
+                left: (width - imageObject.width * scale) / 2,
+                top: (CANVAS_HEIGHT - imageObject.height * scale) / 2,
+                selectable: false,
+                evented: false
+            });
+            canvas.add(imageObject);
+            imageObjectRef.current = imageObject;
+
+            const bounds = getImageBounds(imageObject);
+            const cropRect = new fabric.Rect({
+                left: bounds.left + bounds.width * (1 - INITIAL_CROP_RATIO) / 2,
+                top: bounds.top + bounds.height * (1 - INITIAL_CROP_RATIO) / 2,
+                width: bounds.width * INITIAL_CROP_RATIO,
+                height: bounds.height * INITIAL_CROP_RATIO,
+                fill: 'rgba(74, 222, 128, 0.12)',
+                stroke: '#4ade80',
+                strokeWidth: 2,
+                strokeDashArray: [6, 4],
+                strokeUniform: true,
+                cornerColor: '#4ade80',
+                cornerSize: 14,
+                transparentCorners: false,
+                lockRotation: true,
+                lockScalingFlip: true
+            });
+            cropRect.setControlsVisibility({ mtr: false });
+            canvas.add(cropRect);
+            canvas.setActiveObject(cropRect);
+            cropRectRef.current = cropRect;
+
+            applyAspectLock(aspectLocked);
+            canvas.renderAll();
+        });
+
+        // Keep the crop region inside the photo
+        const keepInside = (event) => {
+            if (event.target === cropRectRef.current && imageObjectRef.current) {
+                clampToBounds(event.target, getImageBounds(imageObjectRef.current));
+            }
+        };
+        canvas.on('object:moving', keepInside);
+        canvas.on('object:scaling', keepInside);
+
+        return () => {
+            cancelled = true;
+            canvas.dispose();
+            fabricRef.current = null;
+            imageObjectRef.current = null;
+            cropRectRef.current = null;
+        };
+    }, [workingImage]);
+
+    useEffect(() => {
+        applyAspectLock(aspectLocked);
+    }, [aspectLocked]);
+
+    const getImageBounds = (imageObject) => ({
+        left: imageObject.left,
+        top: imageObject.top,
+        width: imageObject.width * imageObject.scaleX,
+        height: imageObject.height * imageObject.scaleY
+    });
+
+    const clampToBounds = (rect, bounds) => {
+        if (rect.width * rect.scaleX > bounds.width) {
+            rect.scaleX = bounds.width / rect.width;
+        }
+        if (rect.height * rect.scaleY > bounds.height) {
+            rect.scaleY = bounds.height / rect.height;
+        }
+
+        const width = rect.width * rect.scaleX;
+        const height = rect.height * rect.scaleY;
+        rect.set({
+            left: Math.min(Math.max(rect.left, bounds.left), bounds.left + bounds.width - width),
+            top: Math.min(Math.max(rect.top, bounds.top), bounds.top + bounds.height - height)
+        });
+        rect.setCoords();
+    };
+
+    const applyAspectLock = (locked) => {
+        const canvas = fabricRef.current;
+        const cropRect = cropRectRef.current;
+        if (!canvas || !cropRect) return;
+
+        // Locked: only corner handles, which scale both sides together
+        canvas.uniformScaling = locked;
+        SIDE_CONTROLS.forEach(control => cropRect.setControlVisible(control, !locked));
+        canvas.requestRenderAll();
+    };
+
+    const handleRotate = async () => {
+        setBusy(true);
+        try {
+            setWorkingImage(await rotateImage(workingImage, 90));
+        } catch (error) {
+            console.error('Failed to rotate image:', error);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleApply = async () => {
+        const imageObject = imageObjectRef.current;
+        const cropRect = cropRectRef.current;
+        if (!imageObject || !cropRect) return;
+
+        setBusy(true);
+        try {
+            // Convert the on-screen rectangle back to full-resolution image pixels
+            const scale = imageObject.scaleX;
+            const cropped = await cropImage(workingImage, {
+                x: (cropRect.left - imageObject.left) / scale,
+                y: (cropRect.top - imageObject.top) / scale,
+                width: (cropRect.width * cropRect.scaleX) / scale,
+                height: (cropRect.height * cropRect.scaleY) / scale
+            });
+            onApply(cropped);
+        } catch (error) {
+            console.error('Failed to crop image:', error);
+            onApply(workingImage);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="image-cropper" ref={containerRef}>
+            <canvas ref={canvasElementRef} />
+
+            <div className="cropper-toolbar">
+                <button className="toggle-btn" onClick={handleRotate} disabled={busy}>
+                    🔄 Rotate
+                </button>
+                <button
+                    className={`toggle-btn ${aspectLocked ? 'active' : ''}`}
+                    onClick={() => setAspectLocked(!aspectLocked)}
+                    disabled={busy}
+                >
+                    {aspectLocked ? '🔒 Aspect Locked' : '🔓 Free Aspect'}
+                </button>
+            </div>
+
+            <div className="cropper-actions">
+                <button className="control-btn secondary" onClick={() => onApply(workingImage)} disabled={busy}>
+                    Use Full Photo
+                </button>
+                <button className="analyze-btn primary" onClick={handleApply} disabled={busy}>
+                    ✂️ Apply Crop
+                </button>
+            </div>
+        </div>
+    );
+};
+
+ImageCropper.propTypes = {
+    image: PropTypes.string.isRequired,
+    onApply: PropTypes.func.isRequired
+};
+
+export default ImageCropper;
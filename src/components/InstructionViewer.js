@@ -1,14 +1,25 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { fabric } from 'fabric';
 
-const InstructionViewer = ({ object, showAllSteps, onToggleSteps }) => {
-    const [currentStep, setCurrentStep] = useState(0);
-    const [showAnnotations, setShowAnnotations] = useState(true);
-    const canvasRef = useRef(null);
+// 0-based index of a 1-based linked step, kept within the steps there are
+export const clampStep = (step, totalSteps) => Math.min(Math.max((step || 1) - 1, 0), Math.max(totalSteps - 1, 0));
 
+// `linkedStep` (1-based, from a ?step= deep link) opens that step
+const InstructionViewer = ({ object, linkedStep, showAllSteps, onToggleSteps }) => {
     const instructions = object?.instructions || [];
     const totalSteps = instructions.length;
 
+    const [currentStep, setCurrentStep] = useState(() => clampStep(linkedStep, totalSteps));
+    const [showAnnotations, setShowAnnotations] = useState(true);
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        if (linkedStep) {
+            setCurrentStep(clampStep(linkedStep, totalSteps));
+        }
+    }, [linkedStep, object?.id]);
+
     const handleStepNavigation = (direction) => {
         if (direction === 'next' && currentStep < totalSteps - 1) {
             setCurrentStep(currentStep + 1);
@@ -232,6 +243,17 @@ const InstructionViewer = ({ object, showAllSteps, onToggleSteps }) => {
                                                 </ul>
                                             </div>
                                         )}
+
+                                        {instructions[currentStep].warnings && (
+                                            <div className="step-warnings">
+                                                <h5>Caution:</h5>
+                                                <ul>
+                                                    {instructions[currentStep].warnings.map((warning, index) => (
+                                                        <li key={index}>{warning}</li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
                                     </div>
                                 </div>
 
@@ -286,4 +308,11 @@ const InstructionViewer = ({ object, showAllSteps, onToggleSteps }) => {
     );
 };
 
+InstructionViewer.propTypes = {
+    object: PropTypes.object,
+    linkedStep: PropTypes.number,
+    showAllSteps: PropTypes.bool,
+    onToggleSteps: PropTypes.func
+};
+
 export default InstructionViewer;
\ No newline at end of file
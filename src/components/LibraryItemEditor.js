@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { cacheService } from '../services/cacheService';
+
+// Collections and the personal note for one saved object. Every change is persisted right
+// away and the updated library handed to `onChange`.
+const LibraryItemEditor = ({ objectId, library, onChange }) => {
+    const item = library.items[objectId];
+    const [note, setNote] = useState(item?.note || '');
+    const [newCollection, setNewCollection] = useState('');
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setNote(item?.note || '');
+    }, [objectId]);
+
+    if (!item) return null;
+
+    const run = async (action) => {
+        setError(null);
+        try {
+            onChange(await action());
+        } catch (actionError) {
+            setError(actionError.message);
+        }
+    };
+
+    const toggleCollection = (collectionId) => {
+        const collections = item.collections.includes(collectionId)
+            ? item.collections.filter(id => id !== collectionId)
+            : [...item.collections, collectionId];
+        run(() => cacheService.setLibraryItemCollections(objectId, collections));
+    };
+
+    const addCollection = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const updated = await cacheService.createCollection(newCollection);
+            const created = updated.collections[updated.collections.length - 1];
+            setNewCollection('');
+            return cacheService.setLibraryItemCollections(objectId, [...item.collections, created.id]);
+        });
+    };
+
+    const saveNote = () => {
+        if (note !== item.note) {
+            run(() => cacheService.saveLibraryNote(objectId, note));
+        }
+    };
+
+    return (
+        <div className="library-editor">
+            <h4>Collections</h4>
+            <div className="category-buttons">
+                {library.collections.map(collection => (
+                    <button
+                        key={collection.id}
+                        className={`category-btn ${item.collections.includes(collection.id) ? 'active' : ''}`}
+                        onClick={() => toggleCollection(collection.id)}
+                    >
+                        {collection.name}
+                    </button>
+                ))}
+            </div>
+            <form className="library-new-collection" onSubmit={addCollection}>
+                <input
+                    type="text"
+                    value={newCollection}
+                    onChange={(e) => setNewCollection(e.target.value)}
+                    placeholder='New collection, e.g. "Garage"'
+                />
+                <button type="submit" className="toggle-btn" disabled={!newCollection.trim()}>
+                    + Add
+                </button>
+            </form>
+
+            <h4>Notes</h4>
+            <textarea
+                className="library-note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                onBlur={saveNote}
+                placeholder="Where you keep it, which bits fit, what worked…"
+                rows={3}
+            />
+
+            {error && <p className="library-error">{error}</p>}
+        </div>
+    );
+};
+
+LibraryItemEditor.propTypes = {
+    objectId: PropTypes.string.isRequired,
+    library: PropTypes.shape({
+        items: PropTypes.objectOf(PropTypes.shape({
+            collections: PropTypes.arrayOf(PropTypes.string).isRequired,
+            note: PropTypes.string
+        })).isRequired,
+        collections: PropTypes.arrayOf(PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            name: PropTypes.string.isRequired
+        })).isRequired
+    }).isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+export default LibraryItemEditor;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { cacheService } from '../services/cacheService';
+import LibraryItemEditor from './LibraryItemEditor';
+
+const LibraryPage = () => {
+    const [library, setLibrary] = useState(null);
+    const [selectedCollection, setSelectedCollection] = useState('all');
+    const [expandedId, setExpandedId] = useState(null);
+    const [renaming, setRenaming] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        cacheService.getLibrary().then(setLibrary);
+    }, []);
+
+    if (!library) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+                <p>Loading your library...</p>
+            </div>
+        );
+    }
+
+    const run = async (action) => {
+        setError(null);
+        try {
+            setLibrary(await action());
+        } catch (actionError) {
+            setError(actionError.message);
+        }
+    };
+
+    const items = Object.values(library.items)
+        .filter(item => selectedCollection === 'all' || item.collections.includes(selectedCollection))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+    const activeCollection = library.collections.find(collection => collection.id === selectedCollection);
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const updated = await cacheService.renameCollection(renaming.id, renaming.name);
+            setRenaming(null);
+            return updated;
+        });
+    };
+
+    const handleDeleteCollection = () => {
+        setSelectedCollection('all');
+        run(() => cacheService.deleteCollection(activeCollection.id));
+    };
+
+    return (
+        <div className="library-page">
+            <div className="search-header">
+                <h1>My Library</h1>
+                <p>Saved objects, your collections and notes, available offline</p>
+                <Link to="/reports" className="share-card-link">🚨 My error reports</Link>
+            </div>
+
+            <div className="category-filter">
+                <div className="category-buttons">
+                    <button
+                        className={`category-btn ${selectedCollection === 'all' ? 'active' : ''}`}
+                        onClick={() => setSelectedCollection('all')}
+                    >
+                        All ({Object.keys(library.items).length})
+                    </button>
+                    {library.collections.map(collection => (
+                        <button
+                            key={collection.id}
+                            className={`category-btn ${selectedCollection === collection.id ? 'active' : ''}`}
+                            onClick={() => setSelectedCollection(collection.id)}
+                        >
+                            {collection.name} (
+                            {Object.values(library.items).filter(item => item.collections.includes(collection.id)).length})
+                        </button>
+                    ))}
+                </div>
+
+                {activeCollection && (
+                    renaming ? (
+                        <form className="library-new-collection" onSubmit={handleRename}>
+                            <input
+                                type="text"
+                                value={renaming.name}
+                                onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                autoFocus
+                            />
+                            <button type="submit" className="toggle-btn">Save</button>
+                            <button type="button" className="toggle-btn" onClick={() => setRenaming(null)}>
+                                Cancel
+                            </button>
+                        </form>
+                    ) : (
+                        <div className="library-collection-actions">
+                            <button
+                                className="toggle-btn"
+                                onClick={() => setRenaming({ id: activeCollection.id, name: activeCollection.name })}
+                            >
+                                ✏️ Rename
+                            </button>
+                            <button className="toggle-btn" onClick={handleDeleteCollection}>
+                                🗑️ Delete collection
+                            </button>
+                        </div>
+                    )
+                )}
+                {error && <p className="library-error">{error}</p>}
+            </div>
+
+            {items.length === 0 ? (
+                <div className="empty-state">
+                    <p>
+                        {selectedCollection === 'all'
+                            ? 'Nothing saved yet. Use "💾 Save to Library" on any object to keep it here.'
+                            : 'No objects in this collection yet.'}
+                    </p>
+                    <Link to="/search" className="action-btn">🔍 Find Objects</Link>
+                </div>
+            ) : (
+                <div className="library-list">
+                    {items.map(({ object, note, collections }) => (
+                        <div key={object.id} className="library-item">
+                            <div className="library-item-header">
+                                <Link to={`/object/${object.id}`} className="library-item-title">
+                                    <h4>{object.name}</h4>
+                                    <span className="object-category">{object.category}</span>
+                                </Link>
+                                <div className="library-item-actions">
+                                    <button
+                                        className="toggle-btn"
+                                        onClick={() => setExpandedId(expandedId === object.id ? null : object.id)}
+                                    >
+                                        {expandedId === object.id ? 'Done' : '✏️ Edit'}
+                                    </button>
+                                    <button
+                                        className="toggle-btn"
+                                        onClick={() => run(() => cacheService.removeFromLibrary(object.id))}
+                                        aria-label={`Remove ${object.name} from library`}
+                                    >
+                                        🗑️
+                                    </button>
+                                </div>
+                            </div>
+
+                            {collections.length > 0 && expandedId !== object.id && (
+                                <div className="result-tags">
+                                    {library.collections
+                                        .filter(collection => collections.includes(collection.id))
+                                        .map(collection => (
+                                            <span key={collection.id} className="result-tag">{collection.name}</span>
+                                        ))}
+                                </div>
+                            )}
+                            {note && expandedId !== object.id && (
+                                <p className="library-item-note">📝 {note}</p>
+                            )}
+
+                            {expandedId === object.id && (
+                                <LibraryItemEditor objectId={object.id} library={library} onChange={setLibrary} />
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LibraryPage;
@@ -17,6 +17,18 @@ const Navigation = () => {
             label: 'Search',
             description: 'Find objects'
         },
+        {
+            path: '/history',
+            icon: '🕘',
+            label: 'History',
+            description: 'Past scans'
+        },
+        {
+            path: '/library',
+            icon: '📚',
+            label: 'Library',
+            description: 'Saved objects'
+        },
         {
             path: '/community',
             icon: '👥',
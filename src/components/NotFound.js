@@ -0,0 +1,24 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+
+const NotFound = ({ title = 'Page not found', message = 'This link doesn’t lead anywhere in ObjectWise.' }) => {
+    return (
+        <div className="not-found">
+            <div className="no-results-icon">?</div>
+            <h2>{title}</h2>
+            <p>{message}</p>
+            <div className="not-found-actions">
+                <Link to="/" className="action-btn primary">📸 Scan an Object</Link>
+                <Link to="/search" className="action-btn secondary">🔍 Search</Link>
+            </div>
+        </div>
+    );
+};
+
+NotFound.propTypes = {
+    title: PropTypes.string,
+    message: PropTypes.string
+};
+
+export default NotFound;
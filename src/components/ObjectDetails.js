@@ -1,24 +1,106 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import { useObject } from '../services/ObjectContext';
 import InstructionViewer from './InstructionViewer';
 import SafetyWarnings from './SafetyWarnings';
 import CommunityTips from './CommunityTips';
+import CandidateChooser from './CandidateChooser';
+import RecognitionFeedback from './RecognitionFeedback';
+import NotFound from './NotFound';
+import ShareDialog from './ShareDialog';
+import ErrorReportForm from './ErrorReportForm';
+import LibraryItemEditor from './LibraryItemEditor';
+import { getSharedDataFromHash } from '../services/shareService';
+import { cacheService } from '../services/cacheService';
 
 const ObjectDetails = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { currentObject, confidence } = useObject();
-    const [activeTab, setActiveTab] = useState('instructions');
+    const location = useLocation();
+    const {
+        currentObject,
+        currentPhoto,
+        confidence,
+        recognitionSource,
+        candidates,
+        chooseCandidate,
+        lastRecognition,
+        openObject
+    } = useObject();
+    const [notFound, setNotFound] = useState(false);
+    const [showShare, setShowShare] = useState(false);
+    const [showReport, setShowReport] = useState(false);
+    const [library, setLibrary] = useState(null);
+    const [savingToLibrary, setSavingToLibrary] = useState(false);
+
+    // Deep links from search and shares: ?step=2, ?warning=general-0, ?section=safety|maintenance|uses
+    const [searchParams] = useSearchParams();
+    const linkedStep = Number(searchParams.get('step')) || null;
+    const linkedWarning = searchParams.get('warning');
+    const linkedSection = searchParams.get('section');
+    const linkedTab = linkedStep ? 'instructions'
+        : linkedWarning || linkedSection === 'safety' ? 'safety'
+        : linkedSection ? 'info' : null;
+
+    const [activeTab, setActiveTab] = useState(linkedTab || 'instructions');
     const [showAllSteps, setShowAllSteps] = useState(false);
 
+    // Links, refreshes and shared URLs arrive without a current object
+    useEffect(() => {
+        let cancelled = false;
+        setNotFound(false);
+        openObject(id, { sharedData: getSharedDataFromHash(location.hash) }).then(object => {
+            if (!cancelled && !object) setNotFound(true);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [id]);
+
+    // Choosing a candidate or correcting the result swaps the object on this page: follow it
+    const previousObjectId = useRef(currentObject?.id);
+    useEffect(() => {
+        const previous = previousObjectId.current;
+        previousObjectId.current = currentObject?.id;
+        if (currentObject && previous === id && currentObject.id !== id) {
+            navigate(`/object/${currentObject.id}`, { replace: true });
+        }
+    }, [currentObject?.id]);
+
+    useEffect(() => {
+        let cancelled = false;
+        cacheService.getLibrary().then(loaded => {
+            if (!cancelled) setLibrary(loaded);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [currentObject?.id]);
+
+    useEffect(() => {
+        if (linkedTab) {
+            setActiveTab(linkedTab);
+        }
+    }, [linkedTab, linkedStep, linkedWarning, linkedSection]);
+
+    // Bring the linked warning or info section into view once its tab has rendered
     useEffect(() => {
-        if (!currentObject) {
-            navigate('/');
+        const target = linkedWarning ? `warning-${linkedWarning}` : linkedSection ? `section-${linkedSection}` : null;
+        if (target && activeTab === linkedTab) {
+            document.getElementById(target)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
-    }, [currentObject, navigate]);
+    }, [activeTab, linkedTab, linkedWarning, linkedSection, currentObject?.id]);
 
-    if (!currentObject) {
+    if (notFound) {
+        return (
+            <NotFound
+                title="Object not found"
+                message="This object isn't in the ObjectWise database or in the scans saved on this device."
+            />
+        );
+    }
+
+    if (!currentObject || currentObject.id !== id) {
         return (
             <div className="loading-container">
                 <div className="spinner"></div>
@@ -27,6 +109,19 @@ const ObjectDetails = () => {
         );
     }
 
+    const isSaved = Boolean(library?.items[currentObject.id]);
+
+    const handleSaveToLibrary = async () => {
+        setSavingToLibrary(true);
+        try {
+            setLibrary(await cacheService.saveToLibrary(currentObject));
+        } catch (error) {
+            console.error('Failed to save to library:', error);
+        } finally {
+            setSavingToLibrary(false);
+        }
+    };
+
     const tabs = [
         { id: 'instructions', label: 'Instructions', icon: '📋' },
         { id: 'safety', label: 'Safety', icon: '⚠️' },
@@ -44,9 +139,18 @@ const ObjectDetails = () => {
                     ← Back
                 </button>
                 
-                <div className="confidence-badge">
-                    {confidence}% match
-                </div>
+                {/* Objects opened from a link weren't recognized, so there's no match to show */}
+                {recognitionSource !== 'link' && (
+                    <div className="confidence-badge">
+                        {confidence}% match
+                        {recognitionSource === 'demo' && (
+                            <span className="demo-badge">DEMO</span>
+                        )}
+                        {recognitionSource === 'barcode' && (
+                            <span className="barcode-badge">BARCODE</span>
+                        )}
+                    </div>
+                )}
                 
                 <div className="object-info">
                     <div className="object-image-container">
@@ -56,6 +160,14 @@ const ObjectDetails = () => {
                             className="object-image"
                         />
                     </div>
+
+                    {/* What the user actually pointed the camera at, next to the catalog image */}
+                    {currentPhoto && (
+                        <figure className="object-image-container user-photo">
+                            <img src={currentPhoto} alt="Your photo" className="object-image" />
+                            <figcaption>Your photo</figcaption>
+                        </figure>
+                    )}
                     
                     <div className="object-meta">
                         <h1 className="object-name">{currentObject.name}</h1>
@@ -69,6 +181,16 @@ const ObjectDetails = () => {
                 </div>
             </div>
 
+            {candidates.length > 1 && (
+                <CandidateChooser
+                    title={`Not a ${currentObject.name}? Did you mean…`}
+                    candidates={candidates.filter(candidate => candidate.object.id !== currentObject.id)}
+                    onChoose={chooseCandidate}
+                />
+            )}
+
+            {lastRecognition && <RecognitionFeedback />}
+
             <div className="tab-navigation">
                 {tabs.map(tab => (
                     <button
@@ -86,6 +208,7 @@ const ObjectDetails = () => {
                 {activeTab === 'instructions' && (
                     <InstructionViewer 
                         object={currentObject}
+                        linkedStep={linkedStep}
                         showAllSteps={showAllSteps}
                         onToggleSteps={() => setShowAllSteps(!showAllSteps)}
                     />
@@ -94,12 +217,13 @@ const ObjectDetails = () => {
                 {activeTab === 'safety' && (
                     <SafetyWarnings 
                         object={currentObject}
+                        linkedWarning={linkedWarning}
                     />
                 )}
                 
                 {activeTab === 'tips' && (
                     <CommunityTips 
-                        objectId={currentObject.id}
+                        objectId={currentObject.baseObjectId || currentObject.id}
                     />
                 )}
                 
@@ -117,7 +241,10 @@ const ObjectDetails = () => {
                                     <span className="detail-label">Category:</span>
                                     <span className="detail-value">{currentObject.category}</span>
                                 </div>
-                                <div className="detail-item">
+                                <div
+                                    id="section-uses"
+                                    className={`detail-item ${linkedSection === 'uses' ? 'linked-target' : ''}`}
+                                >
                                     <span className="detail-label">Common Uses:</span>
                                     <span className="detail-value">{currentObject.commonUses?.join(', ')}</span>
                                 </div>
@@ -131,10 +258,32 @@ const ObjectDetails = () => {
                                         <span className="detail-value">{currentObject.brand}</span>
                                     </div>
                                 )}
+                                {currentObject.model && (
+                                    <div className="detail-item">
+                                        <span className="detail-label">Model:</span>
+                                        <span className="detail-value">{currentObject.model}</span>
+                                    </div>
+                                )}
+                                {Object.entries(currentObject.specs || {}).map(([label, value]) => (
+                                    <div key={label} className="detail-item">
+                                        <span className="detail-label">{label}:</span>
+                                        <span className="detail-value">{value}</span>
+                                    </div>
+                                ))}
                             </div>
                         </div>
 
-                        <div className="info-section">
+                        {currentObject.recognizedText && (
+                            <div className="info-section">
+                                <h3>Text on Label</h3>
+                                <p className="label-text">{currentObject.recognizedText}</p>
+                            </div>
+                        )}
+
+                        <div
+                            id="section-maintenance"
+                            className={`info-section ${linkedSection === 'maintenance' ? 'linked-target' : ''}`}
+                        >
                             <h3>Maintenance</h3>
                             <ul>
                                 {currentObject.maintenance?.map((tip, index) => (
@@ -159,16 +308,46 @@ const ObjectDetails = () => {
             </div>
 
             <div className="action-buttons">
-                <button className="action-btn secondary">
+                <button className="action-btn secondary" onClick={() => setShowShare(true)}>
                     📤 Share
                 </button>
-                <button className="action-btn secondary">
+                <button className="action-btn secondary" onClick={() => setShowReport(true)}>
                     🚨 Report Error
                 </button>
-                <button className="action-btn primary">
-                    💾 Save to Library
-                </button>
+                {isSaved ? (
+                    <button
+                        className="action-btn secondary"
+                        onClick={async () => setLibrary(await cacheService.removeFromLibrary(currentObject.id))}
+                    >
+                        ✅ Saved · Remove
+                    </button>
+                ) : (
+                    <button className="action-btn primary" onClick={handleSaveToLibrary} disabled={savingToLibrary}>
+                        {savingToLibrary ? 'Saving…' : '💾 Save to Library'}
+                    </button>
+                )}
             </div>
+
+            {isSaved && (
+                <LibraryItemEditor objectId={currentObject.id} library={library} onChange={setLibrary} />
+            )}
+
+            {showShare && (
+                <ShareDialog
+                    object={currentObject}
+                    initialTarget={activeTab === 'safety' ? 'safety'
+                        : activeTab === 'instructions' && linkedStep ? `step-${linkedStep}` : 'object'}
+                    onClose={() => setShowShare(false)}
+                />
+            )}
+
+            {showReport && (
+                <ErrorReportForm
+                    object={currentObject}
+                    initialField={linkedWarning || (linkedStep ? `step-${linkedStep}` : 'general')}
+                    onClose={() => setShowReport(false)}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { useObject } from '../services/ObjectContext';
+import { objectDatabase } from '../data/objectDatabase';
+
+const MAX_RESULTS = 6;
+
+const RecognitionFeedback = () => {
+    const { currentObject, confirmRecognition, correctRecognition } = useObject();
+    const [mode, setMode] = useState('ask');
+    const [query, setQuery] = useState('');
+
+    // A different object (e.g. picked from "Did you mean…") gets asked about again
+    useEffect(() => {
+        if (mode !== 'corrected') {
+            setMode('ask');
+        }
+        setQuery('');
+    }, [currentObject?.id]);
+
+    const handleConfirm = async () => {
+        await confirmRecognition();
+        setMode('confirmed');
+    };
+
+    const handleCorrect = async (objectId) => {
+        await correctRecognition(objectId);
+        setMode('corrected');
+    };
+
+    const needle = query.trim().toLowerCase();
+    const matches = objectDatabase
+        .filter(obj => obj.id !== currentObject.id)
+        .filter(obj => !needle ||
+            obj.name.toLowerCase().includes(needle) ||
+            obj.category.toLowerCase().includes(needle) ||
+            obj.tags.some(tag => tag.toLowerCase().includes(needle)))
+        .slice(0, MAX_RESULTS);
+
+    if (mode === 'confirmed' || mode === 'corrected') {
+        return (
+            <div className="recognition-feedback done">
+                {mode === 'confirmed'
+                    ? '👍 Thanks! This helps ObjectWise recognize it next time.'
+                    : `✏️ Got it, this is a ${currentObject.name}. We'll remember that.`}
+            </div>
+        );
+    }
+
+    if (mode === 'correcting') {
+        return (
+            <div className="recognition-feedback">
+                <h4>What is it actually?</h4>
+                <input
+                    type="text"
+                    className="feedback-search"
+                    placeholder="Search objects..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    autoFocus
+                />
+                <div className="candidate-list">
+                    {matches.map(obj => (
+                        <button
+                            key={obj.id}
+                            className="candidate-option"
+                            onClick={() => handleCorrect(obj.id)}
+                        >
+                            <span className="candidate-name">{obj.name}</span>
+                            <span className="candidate-meta">{obj.category}</span>
+                        </button>
+                    ))}
+                    {matches.length === 0 && (
+                        <p className="feedback-empty">No matching objects</p>
+                    )}
+                </div>
+                <button className="candidate-dismiss" onClick={() => setMode('ask')}>
+                    Cancel
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="recognition-feedback">
+            <span>Is this a {currentObject.name}?</span>
+            <div className="feedback-actions">
+                <button className="feedback-btn confirm" onClick={handleConfirm}>
+                    ✅ Yes
+                </button>
+                <button className="feedback-btn correct" onClick={() => setMode('correcting')}>
+                    ✏️ No, it&apos;s something else
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RecognitionFeedback;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { cacheService } from '../services/cacheService';
+import { refreshReportStatuses, REPORT_STATUSES } from '../services/errorReportService';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const ReportsPage = () => {
+    const [reports, setReports] = useState(null);
+    const [refreshing, setRefreshing] = useState(false);
+
+    const refresh = async () => {
+        setRefreshing(true);
+        try {
+            setReports(await refreshReportStatuses());
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        cacheService.getErrorReports().then(setReports);
+        refresh();
+    }, []);
+
+    if (!reports) {
+        return (
+            <div className="loading-container">
+                <div className="spinner"></div>
+                <p>Loading your reports...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="library-page">
+            <div className="search-header">
+                <h1>My Error Reports</h1>
+                <p>Corrections you&apos;ve sent for instructions and safety information</p>
+            </div>
+
+            <div className="library-collection-actions">
+                <button className="toggle-btn" onClick={refresh} disabled={refreshing}>
+                    {refreshing ? 'Checking…' : '🔄 Check status'}
+                </button>
+            </div>
+
+            {reports.length === 0 ? (
+                <div className="empty-state">
+                    <p>No reports yet. Use &quot;🚨 Report Error&quot; on any object when something looks wrong.</p>
+                </div>
+            ) : (
+                <div className="library-list">
+                    {reports.map(report => {
+                        const status = REPORT_STATUSES[report.status] || { icon: '❔', label: report.status };
+                        return (
+                            <div key={report.id} className="library-item">
+                                <div className="library-item-header">
+                                    <Link to={`/object/${report.objectId}`} className="library-item-title">
+                                        <h4>{report.objectName}</h4>
+                                        <span className="object-category">{report.field.label}</span>
+                                    </Link>
+                                    <span className={`report-badge ${report.status}`}>
+                                        {status.icon} {status.label}
+                                    </span>
+                                </div>
+                                <p className="library-item-note">{report.description}</p>
+                                <p className="report-meta">
+                                    Reported {formatDate(report.createdAt)}
+                                    {report.remoteId && ` · #${report.remoteId}`}
+                                    {report.lastError && ` · ${report.lastError}`}
+                                </p>
+                                {report.resolution && <p className="report-meta">💬 {report.resolution}</p>}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReportsPage;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
+import PropTypes from 'prop-types';
 
-const SafetyWarnings = ({ object }) => {
+const SafetyWarnings = ({ object, linkedWarning }) => {
     const [acknowledgedWarnings, setAcknowledgedWarnings] = useState(new Set());
 
     const acknowledgeWarning = (warningIndex) => {
@@ -41,7 +42,11 @@ const SafetyWarnings = ({ object }) => {
                     </div>
                     
                     {object.criticalWarnings.map((warning, index) => (
-                        <div key={index} className="warning-card critical">
+                        <div
+                            key={index}
+                            id={`warning-critical-${index}`}
+                            className={`warning-card critical ${linkedWarning === `critical-${index}` ? 'linked-target' : ''}`}
+                        >
                             <div className="warning-header">
                                 <span className="warning-icon">⚠️</span>
                                 <h4>{warning.title}</h4>
@@ -82,7 +87,11 @@ const SafetyWarnings = ({ object }) => {
                     </div>
                     
                     {object.generalWarnings.map((warning, index) => (
-                        <div key={index} className="warning-card general">
+                        <div
+                            key={index}
+                            id={`warning-general-${index}`}
+                            className={`warning-card general ${linkedWarning === `general-${index}` ? 'linked-target' : ''}`}
+                        >
                             <div className="warning-header">
                                 <span className="warning-icon">⚠️</span>
                                 <h4>{warning.title || 'Safety Notice'}</h4>
@@ -256,4 +265,9 @@ const SafetyWarnings = ({ object }) => {
     );
 };
 
+SafetyWarnings.propTypes = {
+    object: PropTypes.object.isRequired,
+    linkedWarning: PropTypes.string
+};
+
 export default SafetyWarnings;
\ No newline at end of file
@@ -1,27 +1,110 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useObject } from '../services/ObjectContext';
-import { objectDatabase, objectCategories } from '../data/objectDatabase';
+import { objectCategories } from '../data/objectDatabase';
+import { cacheService } from '../services/cacheService';
+import { searchObjectDatabase, browseObjectDatabase, getResultLink, describeLocation } from '../services/objectSearch';
+import { searchTasks, isTaskQuery } from '../services/taskSearch';
+import { taskIntents } from '../data/taskIntents';
+import { useSpeechRecognition } from '../services/useSpeechRecognition';
+import {
+    OBJECT_FACETS,
+    parseFacetFilters,
+    applyFacetFilters,
+    hasFacetFilters,
+    matchesFacetFilters,
+    countFacetValues
+} from '../services/objectFacets';
+import { highlightSegments } from '../utils/searchIndex';
+
+// Renders `text` with the words that matched the query wrapped in <mark>
+const Highlighted = ({ text, words }) => (
+    <>
+        {highlightSegments(text, words).map((segment, index) => (
+            segment.match
+                ? <mark key={index} className="search-highlight">{segment.text}</mark>
+                : <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ))}
+    </>
+);
+
+Highlighted.propTypes = {
+    text: PropTypes.string,
+    words: PropTypes.arrayOf(PropTypes.string)
+};
 
 const SearchPage = () => {
-    const [searchQuery, setSearchQuery] = useState('');
-    const [selectedCategory, setSelectedCategory] = useState('all');
+    // Query, mode, category and facets live in the URL so filtered views can be bookmarked
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [searchQuery, setSearchQuery] = useState(searchParams.get('q') || '');
+    const selectedCategory = searchParams.get('category') || 'all';
+    const searchMode = searchParams.get('mode') || 'objects';
+    const facetFilters = parseFacetFilters(searchParams);
     const [results, setResults] = useState([]);
+    const [taskResults, setTaskResults] = useState([]);
     const [recentSearches, setRecentSearches] = useState([]);
+    const [historyMatches, setHistoryMatches] = useState([]);
     const { identifiedObjects } = useObject();
 
+    // Spoken queries go through the same search as typed ones
+    const voice = useSpeechRecognition({
+        onResult: (transcript) => setSearchQuery(transcript.replace(/[.?!]+$/, ''))
+    });
+
     useEffect(() => {
         if (searchQuery.trim()) {
             performSearch(searchQuery);
         } else {
             setResults([]);
+            setTaskResults([]);
+            setHistoryMatches([]);
         }
-    }, [searchQuery, selectedCategory]);
+    }, [searchQuery, selectedCategory, searchMode]);
+
+    useEffect(() => {
+        updateParams({ q: searchQuery.trim() });
+    }, [searchQuery]);
 
     useEffect(() => {
         loadRecentSearches();
     }, []);
 
+    // Empty values are dropped from the URL
+    const updateParams = (changes) => {
+        setSearchParams(current => {
+            const next = new URLSearchParams(current);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) {
+                    next.set(key, value);
+                } else {
+                    next.delete(key);
+                }
+            });
+            return next;
+        }, { replace: true });
+    };
+
+    const setSelectedCategory = (category) => {
+        updateParams({ category: category === 'all' ? null : category });
+    };
+
+    const setSearchMode = (mode) => {
+        updateParams({ mode: mode === 'objects' ? null : mode });
+    };
+
+    const toggleFacetValue = (facetId, value) => {
+        const selected = facetFilters[facetId] || [];
+        const updated = selected.includes(value)
+            ? selected.filter(item => item !== value)
+            : [...selected, value];
+        setSearchParams(current => applyFacetFilters(current, { ...facetFilters, [facetId]: updated }), { replace: true });
+    };
+
+    const clearFacetFilters = () => {
+        setSearchParams(current => applyFacetFilters(current, {}), { replace: true });
+    };
+
     const loadRecentSearches = () => {
         const recent = JSON.parse(localStorage.getItem('recentSearches') || '[]');
         setRecentSearches(recent.slice(0, 5));
@@ -39,21 +122,18 @@ const SearchPage = () => {
     };
 
     const performSearch = (query) => {
-        let filtered = objectDatabase.filter(obj => {
-            const matchesQuery = 
-                obj.name.toLowerCase().includes(query.toLowerCase()) ||
-                obj.category.toLowerCase().includes(query.toLowerCase()) ||
-                obj.description.toLowerCase().includes(query.toLowerCase()) ||
-                obj.tags.some(tag => tag.toLowerCase().includes(query.toLowerCase()));
-            
-            const matchesCategory = selectedCategory === 'all' || 
-                obj.category.toLowerCase() === selectedCategory.toLowerCase();
-            
-            return matchesQuery && matchesCategory;
-        });
-
-        setResults(filtered);
+        // "How do I…" questions get task answers even in object mode
+        const wantsTasks = searchMode === 'tasks' || isTaskQuery(query);
+        setTaskResults(wantsTasks ? searchTasks(query, { category: selectedCategory }) : []);
+        setResults(searchObjectDatabase(query, { category: selectedCategory }));
         saveRecentSearch(query);
+        searchHistory(query);
+    };
+
+    // Past scans, including brands and model numbers read off the object
+    const searchHistory = async (query) => {
+        const matches = await cacheService.searchIdentificationHistory(query);
+        setHistoryMatches(matches);
     };
 
     const handleSearch = (e) => {
@@ -66,6 +146,8 @@ const SearchPage = () => {
     const clearSearch = () => {
         setSearchQuery('');
         setResults([]);
+        setTaskResults([]);
+        setHistoryMatches([]);
     };
 
     const handleRecentSearch = (query) => {
@@ -73,6 +155,13 @@ const SearchPage = () => {
         performSearch(query);
     };
 
+    // With no query, a category or facet selection browses everything it matches
+    const browsing = !searchQuery.trim() && (selectedCategory !== 'all' || hasFacetFilters(facetFilters));
+    const baseResults = browsing ? browseObjectDatabase({ category: selectedCategory }) : results;
+    const facetCounts = countFacetValues(baseResults.map(result => result.item), facetFilters);
+    const visibleResults = baseResults.filter(result => matchesFacetFilters(result.item, facetFilters));
+    const visibleTasks = taskResults.filter(task => matchesFacetFilters(task.object, facetFilters));
+
     const getSafetyLevelColor = (level) => {
         const colors = {
             low: '#10B981',
@@ -96,7 +185,9 @@ const SearchPage = () => {
                         type="text"
                         value={searchQuery}
                         onChange={(e) => setSearchQuery(e.target.value)}
-                        placeholder="Search for any object..."
+                        placeholder={searchMode === 'tasks'
+                            ? 'What do you want to do? e.g. "cut onions"'
+                            : 'Search for any object...'}
                         className="search-input"
                     />
                     {searchQuery && (
@@ -108,12 +199,60 @@ const SearchPage = () => {
                             X
                         </button>
                     )}
+                    {voice.supported && (
+                        <button
+                            type="button"
+                            onClick={voice.listening ? voice.stop : voice.start}
+                            className={`voice-btn ${voice.listening ? 'listening' : ''}`}
+                            aria-label={voice.listening ? 'Stop voice search' : 'Search by voice'}
+                        >
+                            🎤
+                        </button>
+                    )}
                     <button type="submit" className="search-btn">
                         🔍 SEARCH
                     </button>
                 </div>
+                {voice.listening && (
+                    <p className="voice-status">🎤 {voice.interim || 'Listening…'}</p>
+                )}
+                {voice.error && !voice.listening && (
+                    <p className="voice-status error">{voice.error}</p>
+                )}
             </form>
 
+            <div className="search-mode-toggle">
+                <button
+                    className={`category-btn ${searchMode === 'objects' ? 'active' : ''}`}
+                    onClick={() => setSearchMode('objects')}
+                >
+                    🔎 Objects
+                </button>
+                <button
+                    className={`category-btn ${searchMode === 'tasks' ? 'active' : ''}`}
+                    onClick={() => setSearchMode('tasks')}
+                >
+                    🛠️ How do I…
+                </button>
+            </div>
+
+            {searchMode === 'tasks' && !searchQuery && (
+                <div className="recent-searches">
+                    <h3>🛠️ Popular Tasks</h3>
+                    <div className="recent-list">
+                        {taskIntents.slice(0, 8).map(intent => (
+                            <button
+                                key={intent.id}
+                                className="recent-search-btn"
+                                onClick={() => setSearchQuery(intent.task)}
+                            >
+                                {intent.task}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <div className="category-filter">
                 <h3>Filter by Category</h3>
                 <div className="category-buttons">
@@ -135,7 +274,40 @@ const SearchPage = () => {
                 </div>
             </div>
 
-            {!searchQuery && recentSearches.length > 0 && (
+            <div className="facet-filters">
+                <div className="facet-header">
+                    <h3>Filters</h3>
+                    {hasFacetFilters(facetFilters) && (
+                        <button className="clear-filters-btn" onClick={clearFacetFilters}>
+                            Clear filters
+                        </button>
+                    )}
+                </div>
+                {OBJECT_FACETS.map(facet => (
+                    <div key={facet.id} className="facet-group">
+                        <h4>{facet.label}</h4>
+                        <div className="category-buttons">
+                            {facet.values.map(option => {
+                                const selected = (facetFilters[facet.id] || []).includes(option.value);
+                                const count = facetCounts[facet.id][option.value];
+                                return (
+                                    <button
+                                        key={option.value}
+                                        className={`category-btn facet-btn ${selected ? 'active' : ''}`}
+                                        disabled={!selected && count === 0}
+                                        onClick={() => toggleFacetValue(facet.id, option.value)}
+                                    >
+                                        {option.label}
+                                        <span className="facet-count">{count}</span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {!searchQuery && !browsing && recentSearches.length > 0 && (
                 <div className="recent-searches">
                     <h3>🕒 Recent Searches</h3>
                     <div className="recent-list">
@@ -152,9 +324,10 @@ const SearchPage = () => {
                 </div>
             )}
 
-            {!searchQuery && identifiedObjects.length > 0 && (
+            {!searchQuery && !browsing && identifiedObjects.length > 0 && (
                 <div className="recent-identifications">
                     <h3>📸 Recently Identified</h3>
+                    <Link to="/history" className="share-card-link">View all →</Link>
                     <div className="recent-objects-grid">
                         {identifiedObjects.slice(0, 6).map((obj, index) => (
                             <Link 
@@ -173,7 +346,7 @@ const SearchPage = () => {
                 </div>
             )}
 
-            {searchQuery && results.length === 0 && (
+            {(searchQuery || browsing) && visibleResults.length === 0 && visibleTasks.length === 0 && historyMatches.length === 0 && (
                 <div className="no-results">
                     <div className="no-results-icon">?</div>
                     <h3>No results found</h3>
@@ -193,17 +366,37 @@ const SearchPage = () => {
                 </div>
             )}
 
-            {results.length > 0 && (
+            {visibleTasks.length > 0 && (
+                <div className="task-results">
+                    <h3>🛠️ How To</h3>
+                    {visibleTasks.map(task => (
+                        <Link
+                            key={task.object.id}
+                            to={getResultLink(task.object.id, { ref: { step: task.step } })}
+                            className="task-result"
+                        >
+                            {task.intent && <span className="task-intent">{task.intent.task}</span>}
+                            <span className="task-path">
+                                Use the <strong>{task.object.name}</strong> →{' '}
+                                <Highlighted text={task.stepTitle} words={task.terms} />
+                            </span>
+                            <span className="task-step">Step {task.step}</span>
+                        </Link>
+                    ))}
+                </div>
+            )}
+
+            {visibleResults.length > 0 && (
                 <div className="search-results">
                     <div className="results-header">
-                        <h3>Search Results ({results.length})</h3>
+                        <h3>{browsing ? 'Objects' : 'Search Results'} ({visibleResults.length})</h3>
                     </div>
                     
                     <div className="results-grid">
-                        {results.map(obj => (
+                        {visibleResults.map(({ item: obj, terms, matches, location }) => (
                             <Link 
                                 key={obj.id} 
-                                to={`/object/${obj.id}`}
+                                to={getResultLink(obj.id, location)}
                                 className="result-card"
                             >
                                 <div className="result-image">
@@ -219,9 +412,34 @@ const SearchPage = () => {
                                 </div>
                                 
                                 <div className="result-content">
-                                    <h4 className="result-title">{obj.name}</h4>
-                                    <span className="result-category">{obj.category}</span>
-                                    <p className="result-description">{obj.description}</p>
+                                    <h4 className="result-title">
+                                        <Highlighted text={obj.name} words={terms} />
+                                    </h4>
+                                    <span className="result-category">
+                                        <Highlighted text={obj.category} words={terms} />
+                                    </span>
+                                    <p className="result-description">
+                                        <Highlighted text={obj.description} words={terms} />
+                                    </p>
+
+                                    {location && (
+                                        <p className="result-location">
+                                            <span className="result-location-label">{describeLocation(location)}:</span>
+                                            {' '}<Highlighted text={location.text} words={terms} />
+                                        </p>
+                                    )}
+
+                                    {matches.tags && (
+                                        <div className="result-tags">
+                                            {obj.tags
+                                                .filter(tag => highlightSegments(tag, matches.tags).some(segment => segment.match))
+                                                .map(tag => (
+                                                    <span key={tag} className="result-tag">
+                                                        <Highlighted text={tag} words={matches.tags} />
+                                                    </span>
+                                                ))}
+                                        </div>
+                                    )}
                                     
                                     <div className="result-meta">
                                         <span className="difficulty-badge">{obj.difficulty}</span>
@@ -234,6 +452,34 @@ const SearchPage = () => {
                 </div>
             )}
 
+            {historyMatches.length > 0 && (
+                <div className="recent-identifications">
+                    <h3>📸 From Your Scans ({historyMatches.length})</h3>
+                    <div className="recent-objects-grid">
+                        {historyMatches.map(obj => (
+                            <Link
+                                key={`${obj.id}-${obj.timestamp}`}
+                                to={`/object/${obj.id}`}
+                                className="recent-object-card"
+                            >
+                                <div className="object-image-placeholder">
+                                    {obj.category.slice(0, 3).toUpperCase()}
+                                </div>
+                                <h4>{obj.name}</h4>
+                                {(obj.brand || obj.model) && (
+                                    <span className="object-category">
+                                        {[obj.brand, obj.model].filter(Boolean).join(' · ')}
+                                    </span>
+                                )}
+                                {obj.recognizedText && (
+                                    <p className="recognized-text">“{obj.recognizedText}”</p>
+                                )}
+                            </Link>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <div className="search-categories-overview">
                 <h3>Browse by Category</h3>
                 <div className="categories-grid">
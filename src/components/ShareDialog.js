@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { shareObject, buildShareUrl } from '../services/shareService';
+
+const STATUS_MESSAGES = {
+    shared: '✅ Shared',
+    copied: '📋 Link copied to clipboard',
+    cancelled: null,
+    manual: 'Copy this link:',
+    failed: '⚠️ Could not create a link for this object'
+};
+
+// Target values: 'object', 'safety' or 'step-N' (1-based)
+const toTarget = (value) => {
+    if (value === 'safety') return { section: 'safety' };
+    if (value.startsWith('step-')) return { step: Number(value.slice(5)) };
+    return {};
+};
+
+const ShareDialog = ({ object, initialTarget = 'object', onClose }) => {
+    const [target, setTarget] = useState(initialTarget);
+    const [includeCard, setIncludeCard] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState(null);
+    const [cardUrl, setCardUrl] = useState(null);
+
+    useEffect(() => () => {
+        if (cardUrl) URL.revokeObjectURL(cardUrl);
+    }, [cardUrl]);
+
+    const handleShare = async () => {
+        setBusy(true);
+        setResult(null);
+        setCardUrl(null);
+        try {
+            const outcome = await shareObject(object, toTarget(target), { includeCard });
+            setResult(outcome);
+            // The card couldn't go along with the link: offer it as a download instead
+            if (outcome.card) setCardUrl(URL.createObjectURL(outcome.card));
+            if (outcome.status === 'shared' && !outcome.card) onClose();
+        } catch (error) {
+            console.error('Share failed:', error);
+            // Building the link is what usually failed, so it may fail again here
+            const url = await buildShareUrl(object, toTarget(target)).catch(() => null);
+            setResult(url ? { status: 'manual', url } : { status: 'failed' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const steps = object.instructions || [];
+
+    return (
+        <div className="share-dialog" role="dialog" aria-label="Share">
+            <div className="share-header">
+                <h3>📤 Share</h3>
+                <button className="candidate-dismiss" onClick={onClose} aria-label="Close">×</button>
+            </div>
+
+            <label className="share-option">
+                <input
+                    type="radio"
+                    checked={target === 'object'}
+                    onChange={() => setTarget('object')}
+                />
+                Whole object
+            </label>
+            {steps.length > 0 && (
+                <label className="share-option">
+                    <input
+                        type="radio"
+                        checked={target.startsWith('step-')}
+                        onChange={() => setTarget('step-1')}
+                    />
+                    Step
+                    <select
+                        value={target.startsWith('step-') ? target : 'step-1'}
+                        onChange={(e) => setTarget(e.target.value)}
+                    >
+                        {steps.map((step, index) => (
+                            <option key={index} value={`step-${index + 1}`}>
+                                {index + 1}. {step.title}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            )}
+            <label className="share-option">
+                <input
+                    type="radio"
+                    checked={target === 'safety'}
+                    onChange={() => setTarget('safety')}
+                />
+                Safety warnings
+            </label>
+
+            <label className="share-option">
+                <input
+                    type="checkbox"
+                    checked={includeCard}
+                    onChange={(e) => setIncludeCard(e.target.checked)}
+                />
+                Include a share card image
+            </label>
+
+            <button className="analyze-btn primary" onClick={handleShare} disabled={busy}>
+                {busy ? 'Preparing…' : navigator.share ? 'Share' : 'Copy Link'}
+            </button>
+
+            {result && STATUS_MESSAGES[result.status] && (
+                <p className="share-status">{STATUS_MESSAGES[result.status]}</p>
+            )}
+            {result?.status === 'manual' && (
+                <input
+                    className="share-url"
+                    type="text"
+                    readOnly
+                    value={result.url}
+                    onFocus={(e) => e.target.select()}
+                />
+            )}
+            {cardUrl && (
+                <a className="share-card-link" href={cardUrl} download={result.card.name}>
+                    <img src={cardUrl} alt={`${object.name} share card`} />
+                    ⬇️ Download share card
+                </a>
+            )}
+        </div>
+    );
+};
+
+ShareDialog.propTypes = {
+    object: PropTypes.object.isRequired,
+    initialTarget: PropTypes.string,
+    onClose: PropTypes.func.isRequired
+};
+
+export default ShareDialog;
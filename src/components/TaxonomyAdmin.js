@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { labelTaxonomy } from '../data/labelTaxonomy';
+import {
+    getTaxonomyEntries,
+    getTaxonomyInfo,
+    validateLabelTaxonomy,
+    importLabelTaxonomy,
+    resetLabelTaxonomy
+} from '../services/taxonomyService';
+
+// Admin-only page (not in the navigation) for growing the label taxonomy without a release
+const TaxonomyAdmin = () => {
+    const [info, setInfo] = useState(getTaxonomyInfo());
+    const [json, setJson] = useState('');
+    const [mode, setMode] = useState('merge');
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleFile = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            setJson(e.target.result);
+            setReport(null);
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    };
+
+    const handleValidate = () => {
+        try {
+            setReport({ ...validateLabelTaxonomy(JSON.parse(json)), checkedOnly: true });
+        } catch (error) {
+            setReport({ valid: false, errors: [`Invalid JSON: ${error.message}`], warnings: [] });
+        }
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        try {
+            const result = await importLabelTaxonomy(json, { mode });
+            setReport(result);
+            if (result.info) setInfo(result.info);
+        } catch (error) {
+            setReport({ valid: false, errors: [error.message], warnings: [] });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleReset = async () => {
+        setBusy(true);
+        try {
+            setInfo(await resetLabelTaxonomy());
+            setReport(null);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleExport = () => {
+        const taxonomy = { version: info.version, entries: getTaxonomyEntries() };
+        const blob = new Blob([JSON.stringify(taxonomy, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `label-taxonomy-v${info.version}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    return (
+        <div className="taxonomy-admin">
+            <h2>🏷️ Label Taxonomy</h2>
+
+            <div className="taxonomy-info">
+                <span>Version {info.version}</span>
+                <span>{info.entryCount} labels</span>
+                <span>{info.source === 'imported' ? 'Imported' : 'Bundled'}</span>
+                {info.source === 'imported' && (
+                    <span>Bundled: v{info.bundledVersion}</span>
+                )}
+            </div>
+
+            <div className="taxonomy-actions">
+                <button className="toggle-btn" onClick={handleExport}>⬇️ Export JSON</button>
+                {info.source === 'imported' && (
+                    <button className="toggle-btn" onClick={handleReset} disabled={busy}>
+                        ↩️ Reset to Bundled
+                    </button>
+                )}
+            </div>
+
+            <h3>Import</h3>
+            <p className="taxonomy-help">
+                JSON with <code>version</code> (at least {labelTaxonomy.version}) and <code>entries</code>:
+                {' '}<code>{'{ label, canonicalName, synonyms, category, objectId }'}</code>.
+                Merge adds or replaces entries by label; Replace swaps the whole table.
+            </p>
+
+            <label className="control-btn secondary upload-btn taxonomy-file">
+                📁 Choose File
+                <input type="file" accept="application/json,.json" onChange={handleFile} style={{ display: 'none' }} />
+            </label>
+
+            <textarea
+                className="taxonomy-json"
+                value={json}
+                onChange={(e) => {
+                    setJson(e.target.value);
+                    setReport(null);
+                }}
+                placeholder='{ "version": 2, "entries": [ ... ] }'
+                rows={10}
+            />
+
+            <div className="taxonomy-actions">
+                <label>
+                    <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} /> Merge
+                </label>
+                <label>
+                    <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} /> Replace
+                </label>
+                <button className="toggle-btn" onClick={handleValidate} disabled={!json.trim() || busy}>
+                    Validate
+                </button>
+                <button className="analyze-btn primary" onClick={handleImport} disabled={!json.trim() || busy}>
+                    Import
+                </button>
+            </div>
+
+            {report && (
+                <div className={`taxonomy-report ${report.valid ? 'valid' : 'invalid'}`}>
+                    <h4>
+                        {!report.valid ? '❌ Not imported'
+                            : report.checkedOnly ? '✅ Valid' : '✅ Imported'}
+                    </h4>
+                    <ul>
+                        {report.errors.map((error, index) => <li key={`e${index}`}>{error}</li>)}
+                        {report.warnings.map((warning, index) => <li key={`w${index}`}>⚠️ {warning}</li>)}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TaxonomyAdmin;
@@ -0,0 +1,73 @@
+// Fixture images for demo mode. An upload whose file name matches one of `fileNames`,
+// or a capture whose perceptual hash is within `maxHashDistance` of one of `hashes`,
+// always resolves to the same database object.
+//
+// `image` is the fixture picture shipped in public/demo-fixtures/: a grid of flat colour
+// blocks, so it hashes the same after any downscale. Show it on another screen or print it
+// and point the camera at it. To add a hash for your own photo, enable demo mode, identify
+// the photo and copy the "Demo fixture hash" value logged in the dev console when it
+// doesn't match.
+export const maxHashDistance = 10;
+
+export const demoFixtures = [
+    {
+        objectId: 'kitchen-knife-001',
+        fileNames: ['chefs-knife', 'kitchen-knife', 'knife'],
+        image: '/demo-fixtures/kitchen-knife.png',
+        hashes: ['2b9591aa516a5a75']
+    },
+    {
+        objectId: 'drill-001',
+        fileNames: ['cordless-drill', 'power-drill', 'drill'],
+        image: '/demo-fixtures/cordless-drill.png',
+        hashes: ['a54d95a5aa22aaa9']
+    },
+    {
+        objectId: 'plant-001',
+        fileNames: ['snake-plant', 'sansevieria', 'plant'],
+        image: '/demo-fixtures/snake-plant.png',
+        hashes: ['ac56b29752545519']
+    },
+    {
+        objectId: 'fire-extinguisher-001',
+        fileNames: ['fire-extinguisher', 'extinguisher'],
+        image: '/demo-fixtures/fire-extinguisher.png',
+        hashes: ['4ad232aa32a45249']
+    },
+    {
+        objectId: 'smartphone-001',
+        fileNames: ['smartphone', 'mobile-phone', 'phone'],
+        image: '/demo-fixtures/smartphone.png',
+        hashes: ['55a5a55ba5d65d95']
+    },
+    {
+        objectId: 'screwdriver-001',
+        fileNames: ['phillips-screwdriver', 'screwdriver'],
+        image: '/demo-fixtures/phillips-screwdriver.png',
+        hashes: ['2daa2d556aa926d4']
+    },
+    {
+        objectId: 'coffee-maker-001',
+        fileNames: ['drip-coffee-maker', 'coffee-maker', 'coffee-machine'],
+        image: '/demo-fixtures/drip-coffee-maker.png',
+        hashes: ['d528556a55b9b455']
+    },
+    {
+        objectId: 'bicycle-001',
+        fileNames: ['mountain-bicycle', 'mountain-bike', 'bicycle', 'bike'],
+        image: '/demo-fixtures/mountain-bicycle.png',
+        hashes: ['32a94db5aad94b44']
+    },
+    {
+        objectId: 'first-aid-kit-001',
+        fileNames: ['first-aid-kit', 'first-aid'],
+        image: '/demo-fixtures/first-aid-kit.png',
+        hashes: ['6db5a56953b5a4c9']
+    },
+    {
+        objectId: 'washing-machine-001',
+        fileNames: ['front-loading-washing-machine', 'washing-machine', 'washer'],
+        image: '/demo-fixtures/washing-machine.png',
+        hashes: ['992eab96d553a96a']
+    }
+];
@@ -0,0 +1,132 @@
+// Label taxonomy: how recognition labels map onto ObjectWise concepts. Shared by
+// objectMatcher (synonym boosts, objectId links) and visionToInstructions (categories,
+// names and tags for generated objects).
+//
+// Each entry:
+//   label          lowercase recognition label, unique
+//   canonicalName  display name for objects generated from this label
+//   synonyms       other labels meaning the same thing (matched as whole words by objectMatcher)
+//   category       one of the object categories, or 'Sports Equipment' / 'General Items'
+//   objectId       optional curated objectDatabase entry this label points to
+//
+// Bump `version` on every change. Larger tables can be imported at /admin/taxonomy
+// without a release; an imported taxonomy is only used while its version is at least
+// the bundled one.
+export const labelTaxonomy = {
+    version: 1,
+    entries: [
+        // Electronics
+        {
+            label: 'smartphone',
+            canonicalName: 'Smartphone',
+            synonyms: ['mobile phone', 'cell phone', 'phone', 'mobile'],
+            category: 'Electronics',
+            objectId: 'smartphone-001'
+        },
+        { label: 'telephone', canonicalName: 'Telephone', synonyms: [], category: 'Electronics' },
+        { label: 'computer', canonicalName: 'Computer', synonyms: ['pc', 'desktop'], category: 'Electronics' },
+        { label: 'laptop', canonicalName: 'Laptop', synonyms: ['notebook computer'], category: 'Electronics' },
+        { label: 'tablet', canonicalName: 'Tablet', synonyms: ['tablet computer'], category: 'Electronics' },
+        { label: 'camera', canonicalName: 'Camera', synonyms: ['digital camera'], category: 'Electronics' },
+        { label: 'television', canonicalName: 'Television', synonyms: ['tv'], category: 'Electronics' },
+        { label: 'speaker', canonicalName: 'Speaker', synonyms: ['loudspeaker'], category: 'Electronics' },
+
+        // Kitchen Tools
+        {
+            label: 'knife',
+            canonicalName: 'Knife',
+            synonyms: ['kitchen knife', 'chef knife', 'blade', 'cutting tool'],
+            category: 'Kitchen Tools',
+            objectId: 'kitchen-knife-001'
+        },
+        { label: 'spoon', canonicalName: 'Spoon', synonyms: [], category: 'Kitchen Tools' },
+        { label: 'fork', canonicalName: 'Fork', synonyms: [], category: 'Kitchen Tools' },
+        { label: 'spatula', canonicalName: 'Spatula', synonyms: [], category: 'Kitchen Tools' },
+        { label: 'whisk', canonicalName: 'Whisk', synonyms: [], category: 'Kitchen Tools' },
+        { label: 'cutting board', canonicalName: 'Cutting Board', synonyms: ['chopping board'], category: 'Kitchen Tools' },
+
+        // Appliances
+        {
+            label: 'coffee maker',
+            canonicalName: 'Coffee Maker',
+            synonyms: ['coffee machine', 'drip coffee', 'coffeemaker'],
+            category: 'Appliances',
+            objectId: 'coffee-maker-001'
+        },
+        { label: 'microwave', canonicalName: 'Microwave', synonyms: ['microwave oven'], category: 'Appliances' },
+        { label: 'toaster', canonicalName: 'Toaster', synonyms: [], category: 'Appliances' },
+        { label: 'blender', canonicalName: 'Blender', synonyms: [], category: 'Appliances' },
+        {
+            label: 'washing machine',
+            canonicalName: 'Washing Machine',
+            synonyms: ['front loader', 'laundry machine'],
+            category: 'Appliances',
+            objectId: 'washing-machine-001'
+        },
+        { label: 'refrigerator', canonicalName: 'Refrigerator', synonyms: ['fridge'], category: 'Appliances' },
+        { label: 'dishwasher', canonicalName: 'Dishwasher', synonyms: [], category: 'Appliances' },
+
+        // Tools
+        { label: 'hammer', canonicalName: 'Hammer', synonyms: [], category: 'Hand Tools' },
+        {
+            label: 'screwdriver',
+            canonicalName: 'Screwdriver',
+            synonyms: ['tool', 'hand tool'],
+            category: 'Hand Tools',
+            objectId: 'screwdriver-001'
+        },
+        { label: 'wrench', canonicalName: 'Wrench', synonyms: ['spanner'], category: 'Hand Tools' },
+        { label: 'pliers', canonicalName: 'Pliers', synonyms: [], category: 'Hand Tools' },
+        {
+            label: 'drill',
+            canonicalName: 'Drill',
+            synonyms: ['power drill', 'electric drill'],
+            category: 'Power Tools',
+            objectId: 'drill-001'
+        },
+        { label: 'saw', canonicalName: 'Saw', synonyms: ['circular saw', 'jigsaw'], category: 'Power Tools' },
+
+        // Plants
+        { label: 'plant', canonicalName: 'Plant', synonyms: ['botanical', 'potted plant'], category: 'Plants' },
+        {
+            label: 'snake plant',
+            canonicalName: 'Snake Plant',
+            synonyms: ['sansevieria'],
+            category: 'Plants',
+            objectId: 'plant-001'
+        },
+        { label: 'flower', canonicalName: 'Flower', synonyms: [], category: 'Plants' },
+        { label: 'tree', canonicalName: 'Tree', synonyms: [], category: 'Plants' },
+        { label: 'succulent', canonicalName: 'Succulent', synonyms: [], category: 'Plants' },
+        { label: 'houseplant', canonicalName: 'Houseplant', synonyms: [], category: 'Plants' },
+
+        // Sports
+        {
+            label: 'bicycle',
+            canonicalName: 'Bicycle',
+            synonyms: ['mountain bike', 'road bike'],
+            category: 'Sports Equipment',
+            objectId: 'bicycle-001'
+        },
+        { label: 'ball', canonicalName: 'Ball', synonyms: [], category: 'Sports Equipment' },
+        { label: 'racket', canonicalName: 'Racket', synonyms: ['racquet'], category: 'Sports Equipment' },
+        { label: 'dumbbell', canonicalName: 'Dumbbell', synonyms: [], category: 'Sports Equipment' },
+
+        // Safety
+        {
+            label: 'fire extinguisher',
+            canonicalName: 'Fire Extinguisher',
+            synonyms: ['extinguisher'],
+            category: 'Safety Equipment',
+            objectId: 'fire-extinguisher-001'
+        },
+        {
+            label: 'first aid kit',
+            canonicalName: 'First Aid Kit',
+            synonyms: ['first aid', 'medical kit'],
+            category: 'Safety Equipment',
+            objectId: 'first-aid-kit-001'
+        },
+        { label: 'helmet', canonicalName: 'Helmet', synonyms: [], category: 'Safety Equipment' }
+    ]
+};
@@ -0,0 +1,102 @@
+// Product index for barcode/QR recognition. Each product maps one or more printed codes
+// to an `objectDatabase` id plus the details that differ between models.
+//
+// Codes are stored as printed: UPC-A (12 digits) is matched against its EAN-13 form too,
+// so '012345678905' and '0012345678905' find the same product. The sample entries below
+// use the 200-299 in-store EAN range, which is never assigned to real retail products.
+export const productIndex = [
+    {
+        codes: ['2000001000014'],
+        objectId: 'drill-001',
+        brand: 'Voltix',
+        model: 'VX-18D',
+        productName: 'Voltix 18V Cordless Drill/Driver',
+        specs: {
+            'Battery': '18V 2.0Ah Li-ion',
+            'Chuck': '13 mm keyless',
+            'Max torque': '45 Nm',
+            'Speed settings': '2 (0-400 / 0-1500 rpm)'
+        }
+    },
+    {
+        codes: ['2000001000021'],
+        objectId: 'drill-001',
+        brand: 'Voltix',
+        model: 'VX-12C',
+        productName: 'Voltix 12V Compact Drill',
+        specs: {
+            'Battery': '12V 1.5Ah Li-ion',
+            'Chuck': '10 mm keyless',
+            'Max torque': '28 Nm'
+        }
+    },
+    {
+        codes: ['2000002000013'],
+        objectId: 'coffee-maker-001',
+        brand: 'BrewHaus',
+        model: 'BH-1200',
+        productName: 'BrewHaus 12-Cup Programmable Coffee Maker',
+        specs: {
+            'Capacity': '12 cups (1.8 L)',
+            'Filter': 'Size 4 cone or permanent filter',
+            'Descale': 'Every 40 brew cycles (indicator light)'
+        }
+    },
+    {
+        codes: ['2000003000012'],
+        objectId: 'washing-machine-001',
+        brand: 'Lumo',
+        model: 'LW-8014F',
+        productName: 'Lumo 8 kg Front-Loading Washer',
+        specs: {
+            'Capacity': '8 kg',
+            'Spin speed': '1400 rpm',
+            'Drain filter': 'Bottom right, behind the kick panel'
+        }
+    },
+    {
+        codes: ['2000004000011'],
+        objectId: 'fire-extinguisher-001',
+        brand: 'SafeHold',
+        model: 'SH-ABC5',
+        productName: 'SafeHold 5 lb ABC Dry Chemical Extinguisher',
+        specs: {
+            'Rating': '3-A:40-B:C',
+            'Discharge time': 'About 14 seconds',
+            'Range': '4.5-6 m'
+        }
+    },
+    {
+        codes: ['2000005000010'],
+        objectId: 'first-aid-kit-001',
+        brand: 'CareKit',
+        model: 'CK-100',
+        productName: 'CareKit 100-Piece First Aid Kit',
+        specs: {
+            'Pieces': '100',
+            'Check contents': 'Every 6 months'
+        }
+    },
+    {
+        codes: ['2000006000019'],
+        objectId: 'kitchen-knife-001',
+        brand: 'Edgeline',
+        model: 'EL-C20',
+        productName: 'Edgeline 20 cm Chef\'s Knife',
+        specs: {
+            'Blade': '20 cm high-carbon stainless steel',
+            'Sharpening angle': '15° per side'
+        }
+    },
+    {
+        codes: ['2000007000018'],
+        objectId: 'screwdriver-001',
+        brand: 'Gripwell',
+        model: 'GW-PH2',
+        productName: 'Gripwell PH2 Screwdriver',
+        specs: {
+            'Tip': 'Phillips #2',
+            'Shaft': '100 mm chrome vanadium'
+        }
+    }
+];
@@ -0,0 +1,111 @@
+// Curated "how do I…" tasks for task search. Each intent points at the object and
+// instruction step (1-based, as in /object/:id?step=N) that answers it; `phrases` are the
+// ways people tend to ask. Anything not covered here is still found by free-text matching
+// against instruction titles, steps and common uses (see services/taskSearch.js).
+export const taskIntents = [
+    {
+        id: 'chop-vegetables',
+        task: 'Chop vegetables',
+        phrases: ['chop vegetables', 'cut onions', 'dice onions', 'slice vegetables', 'mince herbs', 'mince garlic'],
+        objectId: 'kitchen-knife-001',
+        step: 2
+    },
+    {
+        id: 'hold-knife',
+        task: 'Hold a knife safely',
+        phrases: ['hold a knife', 'knife grip', 'cut without cutting myself'],
+        objectId: 'kitchen-knife-001',
+        step: 1
+    },
+    {
+        id: 'drill-hole',
+        task: 'Drill a hole',
+        phrases: ['drill a hole', 'make a hole in the wall', 'drill pilot holes', 'hang a shelf'],
+        objectId: 'drill-001',
+        step: 2
+    },
+    {
+        id: 'change-drill-bit',
+        task: 'Change a drill bit',
+        phrases: ['change drill bit', 'insert bit', 'tighten chuck'],
+        objectId: 'drill-001',
+        step: 1
+    },
+    {
+        id: 'water-plant',
+        task: 'Water a houseplant',
+        phrases: ['water a plant', 'water my houseplant', 'how often to water', 'overwatering'],
+        objectId: 'plant-001',
+        step: 2
+    },
+    {
+        id: 'place-plant',
+        task: 'Find a spot for a plant',
+        phrases: ['where to put a plant', 'plant light', 'plant placement'],
+        objectId: 'plant-001',
+        step: 1
+    },
+    {
+        id: 'put-out-fire',
+        task: 'Put out a fire',
+        phrases: ['put out a fire', 'put out a grease fire', 'kitchen fire', 'use a fire extinguisher', 'extinguish flames'],
+        objectId: 'fire-extinguisher-001',
+        step: 1
+    },
+    {
+        id: 'set-up-phone',
+        task: 'Set up a new phone',
+        phrases: ['set up a phone', 'new phone setup', 'insert sim card', 'connect to wifi'],
+        objectId: 'smartphone-001',
+        step: 1
+    },
+    {
+        id: 'tighten-screw',
+        task: 'Tighten or loosen a screw',
+        phrases: ['tighten a screw', 'loosen a screw', 'remove a screw', 'assemble furniture'],
+        objectId: 'screwdriver-001',
+        step: 2
+    },
+    {
+        id: 'make-coffee',
+        task: 'Make coffee',
+        phrases: ['make coffee', 'brew coffee', 'morning coffee'],
+        objectId: 'coffee-maker-001',
+        step: 1
+    },
+    {
+        id: 'check-bike',
+        task: 'Check a bike before riding',
+        phrases: ['check bike brakes', 'pump bike tires', 'bike safety check'],
+        objectId: 'bicycle-001',
+        step: 1
+    },
+    {
+        id: 'ride-bike',
+        task: 'Ride a bike',
+        phrases: ['ride a bike', 'shift gears', 'brake on a bike'],
+        objectId: 'bicycle-001',
+        step: 2
+    },
+    {
+        id: 'treat-cut',
+        task: 'Treat a cut',
+        phrases: ['treat a cut', 'stop bleeding', 'clean a wound', 'bandage a scrape'],
+        objectId: 'first-aid-kit-001',
+        step: 1
+    },
+    {
+        id: 'do-laundry',
+        task: 'Do a load of laundry',
+        phrases: ['do laundry', 'wash clothes', 'load washing machine', 'sort laundry'],
+        objectId: 'washing-machine-001',
+        step: 1
+    },
+    {
+        id: 'choose-wash-cycle',
+        task: 'Pick a wash cycle',
+        phrases: ['choose wash cycle', 'wash delicates', 'how much detergent', 'water temperature for laundry'],
+        objectId: 'washing-machine-001',
+        step: 2
+    }
+];
@@ -1,76 +1,34 @@
 // Dynamic instruction generation for any object detected by Google Vision
 import { generateInstructionSkeleton } from '../utils/instructionTemplates';
+import { findTaxonomyEntry } from '../services/taxonomyService';
 
-export const generateInstructionsForObject = (visionData) => {
+// `textDetails` (optional) is what OCR read off the object: { text, brand, modelNumber }
+export const generateInstructionsForObject = (visionData, textDetails = null) => {
     const detectedLabel = visionData.description || visionData.name;
     const confidence = Math.round((visionData.score || 0) * 100);
+    const brand = textDetails?.brand || null;
+    const model = textDetails?.modelNumber || null;
 
-    // Map common vision labels to categories
-    const categoryMapping = {
-        // Electronics
-        'mobile phone': 'Electronics',
-        'smartphone': 'Electronics', 
-        'telephone': 'Electronics',
-        'computer': 'Electronics',
-        'laptop': 'Electronics',
-        'tablet': 'Electronics',
-        'camera': 'Electronics',
-        'television': 'Electronics',
-        'speaker': 'Electronics',
-        
-        // Kitchen Tools
-        'knife': 'Kitchen Tools',
-        'kitchen knife': 'Kitchen Tools',
-        'spoon': 'Kitchen Tools',
-        'fork': 'Kitchen Tools',
-        'spatula': 'Kitchen Tools',
-        'whisk': 'Kitchen Tools',
-        'cutting board': 'Kitchen Tools',
-        
-        // Appliances  
-        'coffee maker': 'Appliances',
-        'microwave': 'Appliances',
-        'toaster': 'Appliances',
-        'blender': 'Appliances',
-        'washing machine': 'Appliances',
-        'refrigerator': 'Appliances',
-        'dishwasher': 'Appliances',
-        
-        // Tools
-        'hammer': 'Hand Tools',
-        'screwdriver': 'Hand Tools',
-        'wrench': 'Hand Tools',
-        'drill': 'Power Tools',
-        'saw': 'Power Tools',
-        'pliers': 'Hand Tools',
-        
-        // Plants
-        'plant': 'Plants',
-        'flower': 'Plants',
-        'tree': 'Plants',
-        'succulent': 'Plants',
-        'houseplant': 'Plants',
-        
-        // Sports
-        'bicycle': 'Sports Equipment',
-        'ball': 'Sports Equipment',
-        'racket': 'Sports Equipment',
-        'dumbbell': 'Sports Equipment',
-        
-        // Safety
-        'fire extinguisher': 'Safety Equipment',
-        'first aid kit': 'Safety Equipment',
-        'helmet': 'Safety Equipment'
-    };
-
-    const category = categoryMapping[detectedLabel.toLowerCase()] || 'General Items';
+    // Category, display name and synonyms come from the shared label taxonomy
+    const taxonomyEntry = findTaxonomyEntry(detectedLabel);
+    const category = taxonomyEntry?.category || 'General Items';
     
+    const instructions = generateBasicInstructions(detectedLabel, category);
+    if (brand || model) {
+        // Point at the manual for this exact model before the generic steps
+        instructions[0].substeps.splice(1, 0,
+            `Check the ${[brand, model].filter(Boolean).join(' ')} manual for model-specific settings`);
+    }
+
     return {
         id: `vision-${Date.now()}`,
-        name: formatObjectName(detectedLabel),
+        name: [brand, taxonomyEntry ? taxonomyEntry.canonicalName : formatObjectName(detectedLabel)].filter(Boolean).join(' '),
         category: category,
-        tags: generateTags(detectedLabel),
-        description: generateDescription(detectedLabel, category),
+        tags: [
+            ...generateTags(detectedLabel, taxonomyEntry),
+            ...[brand, model].filter(Boolean).map(value => value.toLowerCase())
+        ],
+        description: generateDescription(detectedLabel, category) + (model ? ` Model ${model}.` : ''),
         difficulty: getDifficultyLevel(category),
         timeEstimate: getTimeEstimate(category),
         safetyLevel: getSafetyLevel(detectedLabel, category),
@@ -78,12 +36,15 @@ export const generateInstructionsForObject = (visionData) => {
         commonUses: generateCommonUses(detectedLabel),
         materials: generateMaterials(detectedLabel, category),
         generalWarnings: generateWarnings(detectedLabel, category),
-        instructions: generateBasicInstructions(detectedLabel, category),
+        instructions: instructions,
         maintenance: generateMaintenance(detectedLabel, category),
         storage: generateStorage(detectedLabel, category),
         lifespan: getLifespan(category),
         ageRestrictions: getAgeRestrictions(category),
         confidence: confidence,
+        ...(brand && { brand }),
+        ...(model && { model }),
+        ...(textDetails && { recognizedText: textDetails.text }),
         source: 'Google Vision API'
     };
 };
@@ -94,16 +55,11 @@ const formatObjectName = (label) => {
         .join(' ');
 };
 
-const generateTags = (label) => {
+const generateTags = (label, taxonomyEntry) => {
     const words = label.toLowerCase().split(' ');
-    const synonyms = {
-        'mobile phone': ['smartphone', 'cell phone', 'phone', 'device'],
-        'knife': ['blade', 'cutting tool', 'kitchen knife'],
-        'computer': ['laptop', 'pc', 'desktop', 'device'],
-        'plant': ['houseplant', 'green', 'botanical']
-    };
-    
-    return [...words, ...(synonyms[label.toLowerCase()] || [])];
+    const related = taxonomyEntry ? [taxonomyEntry.label, ...(taxonomyEntry.synonyms || [])] : [];
+
+    return [...new Set([...words, ...related])];
 };
 
 const generateDescription = (label, category) => {
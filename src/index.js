@@ -2,8 +2,21 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { configureRecognition } from './services/recognitionProviders';
+import { visionProxyProvider } from './services/providers/visionProxyProvider';
+import { onDeviceProvider, preloadOnDeviceModel } from './services/providers/onDeviceProvider';
+import { demoProvider } from './services/providers/demoProvider';
+import { barcodeProvider } from './services/providers/barcodeProvider';
 import './styles/global.css';
 
+// Recognition providers are tried in this order until one returns a result.
+// Barcodes go first: a known code is an exact product match and costs no API call.
+// The demo provider is registered but only used when demo mode is switched on.
+configureRecognition({
+    providers: [barcodeProvider, visionProxyProvider, onDeviceProvider, demoProvider],
+    chain: ['barcode', 'vision-proxy', 'on-device']
+});
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
 const hideLoading = () => {
@@ -21,4 +34,13 @@ root.render(
     </React.StrictMode>
 );
 
-hideLoading();
\ No newline at end of file
+hideLoading();
+
+// Fetch the on-device model while online so the service worker has it cached for offline use
+if (navigator.onLine && 'requestIdleCallback' in window) {
+    window.requestIdleCallback(() => {
+        preloadOnDeviceModel().catch(error => {
+            console.warn('On-device model preload failed:', error.message);
+        });
+    });
+}
\ No newline at end of file
@@ -2,17 +2,49 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { objectDatabase } from '../data/objectDatabase';
 import { generateInstructionsForObject } from '../data/visionToInstructions';
 import { cacheService } from './cacheService';
+import { matchToDatabase, needsCandidateConfirmation, setLearnedCorrections, MIN_MATCH_SCORE } from './objectMatcher';
+import {
+    getRecognitionProvider,
+    getRecognitionProviderChain,
+    normalizeRecognitionResult,
+    fuseRecognitionResults
+} from './recognitionProviders';
+import { preprocessImage } from '../utils/imagePreprocessor';
+import { extractTextDetails, applyTextDetails } from '../utils/textExtraction';
+import { findProductByModel, toProductObject } from './productLookup';
+import { computeImageHash } from '../utils/imageHash';
+import { createThumbnail } from '../utils/imageCanvas';
+import { loadStoredTaxonomy } from './taxonomyService';
+import { searchObjectDatabase } from './objectSearch';
+import { findObjectById, isCuratedObject, objectFromHistoryEntry } from './objectLookup';
+import { decodeSharedObject } from './shareService';
+
+const TEXT_KEYWORD_SCORE = 0.4; // Words read off the object count as weak labels
+const LEARNED_LABEL_LIMIT = 5;  // Top labels remembered with each confirmation/correction
 
 const ObjectContext = createContext();
 
 const initialState = {
     currentObject: null,
+    currentPhoto: null,
+    // History entry (identification.id) of the object on screen, null when opened from a link
+    currentIdentificationId: null,
+    // Bumped on every successful identification, even when it finds the same object again
+    identificationCount: 0,
     identifiedObjects: [],
     searchResults: [],
     communityTips: [],
     loading: false,
     error: null,
-    confidence: 0
+    confidence: 0,
+    recognitionProvider: null,
+    recognitionSource: null,
+    detectedObjects: [],
+    detectionProvider: null,
+    candidates: [],
+    pendingCandidates: null,
+    lastRecognition: null,
+    demoMode: false
 };
 
 const objectReducer = (state, action) => {
@@ -23,13 +55,35 @@ const objectReducer = (state, action) => {
             return { ...state, error: action.payload, loading: false };
         case 'SET_CURRENT_OBJECT':
             return { ...state, currentObject: action.payload, loading: false };
+        case 'COUNT_IDENTIFICATION':
+            return { ...state, identificationCount: state.identificationCount + 1 };
+        case 'SET_CURRENT_PHOTO':
+            return { ...state, currentPhoto: action.payload };
+        case 'SET_CURRENT_IDENTIFICATION':
+            return { ...state, currentIdentificationId: action.payload };
         case 'SET_CONFIDENCE':
             return { ...state, confidence: action.payload };
-        case 'ADD_IDENTIFIED_OBJECT':
-            return { 
-                ...state, 
-                identifiedObjects: [action.payload, ...state.identifiedObjects.slice(0, 9)]
+        case 'SET_RECOGNITION_PROVIDER':
+            return { ...state, recognitionProvider: action.payload };
+        case 'SET_RECOGNITION_SOURCE':
+            return { ...state, recognitionSource: action.payload };
+        case 'SET_DETECTED_OBJECTS':
+            return {
+                ...state,
+                detectedObjects: action.payload.objects,
+                detectionProvider: action.payload.provider,
+                loading: false
             };
+        case 'SET_CANDIDATES':
+            return { ...state, candidates: action.payload };
+        case 'SET_PENDING_CANDIDATES':
+            return { ...state, pendingCandidates: action.payload, loading: false };
+        case 'SET_DEMO_MODE':
+            return { ...state, demoMode: action.payload };
+        case 'SET_LAST_RECOGNITION':
+            return { ...state, lastRecognition: action.payload };
+        case 'SET_IDENTIFIED_OBJECTS':
+            return { ...state, identifiedObjects: action.payload };
         case 'SET_SEARCH_RESULTS':
             return { ...state, searchResults: action.payload };
         case 'ADD_COMMUNITY_TIP':
@@ -51,310 +105,459 @@ export const ObjectProvider = ({ children }) => {
 
     const loadCachedData = async () => {
         try {
-            const cachedHistory = await cacheService.getIdentificationHistory();
-            if (cachedHistory.length > 0) {
-                cachedHistory.forEach(obj => {
-                    dispatch({ type: 'ADD_IDENTIFIED_OBJECT', payload: obj });
-                });
-            }
+            const preferences = await cacheService.getUserPreferences();
+            dispatch({ type: 'SET_DEMO_MODE', payload: !!preferences.demoMode });
+
+            setLearnedCorrections(await cacheService.getRecognitionCorrections());
+            await loadStoredTaxonomy();
+
+            dispatch({ type: 'SET_IDENTIFIED_OBJECTS', payload: await cacheService.getIdentificationHistory() });
         } catch (error) {
             console.error('Failed to load cached data:', error);
         }
     };
 
-    const identifyObject = async (imageData) => {
+    const setDemoMode = async (enabled) => {
+        dispatch({ type: 'SET_DEMO_MODE', payload: enabled });
+        const preferences = await cacheService.getUserPreferences();
+        await cacheService.saveUserPreferences({ ...preferences, demoMode: enabled });
+    };
+
+    // `options` carries capture metadata for providers, e.g. { fileName } for uploads
+    const identifyObject = async (imageData, options = {}) => {
+        await identifyShots([{ ...options, image: imageData }]);
+    };
+
+    // Several shots of the same object from different angles: [{ image, fileName }]
+    const identifyObjectFromAngles = async (shots) => {
+        await identifyShots(shots);
+    };
+
+    const identifyShots = async (shots) => {
         dispatch({ type: 'SET_LOADING', payload: true });
         dispatch({ type: 'SET_ERROR', payload: null });
 
+        clearDetectedObjects();
+        dispatch({ type: 'SET_PENDING_CANDIDATES', payload: null });
+
         try {
-            const result = await performObjectRecognition(imageData);
-            
-            if (result && result.object) {
-                dispatch({ type: 'SET_CURRENT_OBJECT', payload: result.object });
-                dispatch({ type: 'SET_CONFIDENCE', payload: result.confidence });
-                dispatch({ type: 'ADD_IDENTIFIED_OBJECT', payload: result.object });
-                
-                await cacheService.saveIdentification(result.object);
-            } else {
-                const errorMessage = result?.message || 'Object not recognized. Try taking another photo with better lighting or a different angle.';
-                dispatch({ type: 'SET_ERROR', payload: errorMessage });
-            }
+            // Identifies this photo when the user later confirms or corrects the result
+            const imageHash = await computeImageHash(shots[0].image).catch(() => null);
+            // Kept with the history entry so the user can see what they actually scanned
+            const thumbnail = await createThumbnail(shots[0].image).catch(() => null);
+
+            const result = await performObjectRecognition(shots, { imageHash });
+            dispatch({
+                type: 'SET_LAST_RECOGNITION',
+                payload: { imageHash, labels: result.labels || [], thumbnail }
+            });
+            await handleRecognitionResult(result, { thumbnail });
         } catch (error) {
             dispatch({ type: 'SET_ERROR', payload: error.message });
         }
     };
 
-    const performObjectRecognition = async (imageData) => {
-        console.log('🚀 Starting object recognition...');
-        
-        // Try real computer vision first
+    const handleRecognitionResult = async (result, options) => {
+        // Several objects in frame: let the user pick which one they mean
+        if (result && result.detectedObjects) {
+            dispatch({
+                type: 'SET_DETECTED_OBJECTS',
+                payload: { objects: result.detectedObjects, provider: result.provider }
+            });
+            return;
+        }
+
+        // Ambiguous or low-confidence match: ask "Did you mean…" before showing instructions
+        if (result && result.pendingCandidates) {
+            dispatch({
+                type: 'SET_PENDING_CANDIDATES',
+                payload: {
+                    candidates: result.pendingCandidates,
+                    fallback: result.fallback ? { ...result.fallback, provider: result.provider } : null,
+                    provider: result.provider
+                }
+            });
+            return;
+        }
+
+        await applyRecognitionResult(result, options);
+    };
+
+    const selectDetectedObject = async (index) => {
+        const selected = state.detectedObjects[index];
+        if (!selected) return;
+
+        dispatch({ type: 'SET_LOADING', payload: true });
+        dispatch({ type: 'SET_ERROR', payload: null });
+
         try {
-            console.log('🔬 Attempting Google Vision API...');
-            const realResult = await callComputerVisionAPI(imageData);
-            if (realResult) {
-                console.log('✅ Google Vision API success:', realResult);
-                return realResult;
-            } else {
-                console.log('⚠️ Google Vision API returned no results');
-            }
+            // Match on the chosen object's own label only, ignoring the rest of the scene. The
+            // photo's hash still lets a re-scan resolve to an earlier correction.
+            const result = resolveDetections({
+                labels: [{ description: selected.name, score: selected.score }],
+                objects: []
+            }, { imageHash: state.lastRecognition?.imageHash });
+            clearDetectedObjects();
+            await handleRecognitionResult(result && { ...result, provider: state.detectionProvider });
         } catch (error) {
-            console.error('❌ Google Vision API failed:', error.message);
-            console.log('🔄 Falling back to demo mode...');
+            dispatch({ type: 'SET_ERROR', payload: error.message });
         }
+    };
+
+    // Pick a candidate from the pending chooser, or switch to another candidate from ObjectDetails
+    const chooseCandidate = async (objectId) => {
+        const fromChooser = !!state.pendingCandidates;
+        const candidates = fromChooser ? state.pendingCandidates.candidates : state.candidates;
+        const provider = fromChooser ? state.pendingCandidates.provider : state.recognitionProvider;
+        const rank = candidates.findIndex(candidate => candidate.object.id === objectId);
+        if (rank === -1) return;
+
+        await recordCandidateFeedback(candidates, objectId, fromChooser ? 'chooser' : 'details');
+        dispatch({ type: 'SET_PENDING_CANDIDATES', payload: null });
+
+        const chosen = candidates[rank];
+        await applyRecognitionResult({
+            object: chosen.object,
+            confidence: chosen.confidence,
+            detectedAs: chosen.detectedAs,
+            source: 'database',
+            provider,
+            candidates
+        });
+    };
+
+    // "None of these": fall back to generated instructions when we have them
+    const dismissCandidates = async () => {
+        if (!state.pendingCandidates) return;
 
-        // Fallback to intelligent pattern matching
-        console.log('🎮 Using demo mode recognition...');
-        return await performIntelligentMatching(imageData);
+        const { candidates, fallback } = state.pendingCandidates;
+        await recordCandidateFeedback(candidates, null, 'chooser');
+        dispatch({ type: 'SET_PENDING_CANDIDATES', payload: null });
+
+        await applyRecognitionResult(fallback || {
+            object: null,
+            message: 'Not one of those? Try another photo or search manually using the search tab.'
+        });
     };
 
-    const callComputerVisionAPI = async (imageData) => {
-        // Google Vision API integration
-        const API_KEY = process.env.REACT_APP_GOOGLE_VISION_API_KEY;
-        
-        console.log('🔍 API Key present:', !!API_KEY);
-        console.log('🔍 API Key first 10 chars:', API_KEY ? API_KEY.substring(0, 10) + '...' : 'UNDEFINED');
-        
-        if (!API_KEY) {
-            console.log('❌ No API key found');
-            throw new Error('API key not configured');
+    const recordCandidateFeedback = async (candidates, chosenId, context) => {
+        try {
+            await cacheService.saveCandidateFeedback({
+                candidateIds: candidates.map(candidate => candidate.object.id),
+                chosenId,
+                chosenRank: candidates.findIndex(candidate => candidate.object.id === chosenId),
+                topConfidence: candidates[0]?.confidence || 0,
+                context
+            });
+        } catch (error) {
+            console.error('Failed to record candidate choice:', error);
         }
+    };
+
+    // "Yes, that's right": the scan's labels become learned synonyms for the object
+    const confirmRecognition = async () => {
+        if (!state.currentObject) return;
+        await recordRecognitionFeedback(state.currentObject.baseObjectId || state.currentObject.id);
+    };
+
+    // "That's wrong": remember the right object for these labels and this photo, then show it
+    const correctRecognition = async (objectId) => {
+        const object = objectDatabase.find(obj => obj.id === objectId);
+        if (!object || !state.currentObject) return;
+
+        await recordRecognitionFeedback(objectId);
+
+        dispatch({ type: 'SET_CURRENT_OBJECT', payload: object });
+        dispatch({ type: 'SET_CONFIDENCE', payload: 100 });
+        dispatch({ type: 'SET_RECOGNITION_SOURCE', payload: 'database' });
+        dispatch({ type: 'SET_CANDIDATES', payload: [] });
+        // The object on screen isn't always the latest scan (a later scan failed, or an older
+        // identification was reopened), so replace its own history entry
+        const history = await cacheService.saveIdentification(object, {
+            replaceId: state.currentIdentificationId,
+            confidence: 100,
+            source: 'database',
+            provider: state.recognitionProvider
+        });
+        const entry = history.find(item => item.identification.id === state.currentIdentificationId) || history[0];
+        dispatch({ type: 'SET_IDENTIFIED_OBJECTS', payload: history });
+        dispatch({ type: 'SET_CURRENT_IDENTIFICATION', payload: entry.identification.id });
+    };
+
+    const recordRecognitionFeedback = async (correctedId) => {
+        const { imageHash = null, labels = [] } = state.lastRecognition || {};
+
+        // Generated objects can't be matched again, so there is nothing to learn
+        if (!objectDatabase.some(obj => obj.id === correctedId)) return;
 
-        console.log('📤 Calling Google Vision API...');
-        
         try {
-            const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${API_KEY}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    requests: [{
-                        image: {
-                            content: imageData.split(',')[1] // Remove data:image/jpeg;base64, prefix
-                        },
-                        features: [
-                            { type: 'LABEL_DETECTION', maxResults: 10 },
-                            { type: 'OBJECT_LOCALIZATION', maxResults: 10 }
-                        ]
-                    }]
-                })
+            const corrections = await cacheService.saveRecognitionCorrection({
+                imageHash,
+                labels: labels.slice(0, LEARNED_LABEL_LIMIT).map(label => label.description.toLowerCase()),
+                correctedId,
+                originalId: state.currentObject.id
             });
+            setLearnedCorrections(corrections);
+        } catch (error) {
+            console.error('Failed to record recognition feedback:', error);
+        }
+    };
 
-            console.log('📥 API Response status:', response.status);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ API Error:', errorText);
-                throw new Error(`API request failed: ${response.status} - ${errorText}`);
-            }
+    // Opens an object from a link rather than a scan. `sharedData` is a generated object
+    // encoded into a shared link (see shareService). Returns it, or null if unknown here.
+    const openObject = async (objectId, { sharedData = null } = {}) => {
+        if (state.currentObject && state.currentObject.id === objectId) {
+            return state.currentObject;
+        }
 
-            const result = await response.json();
-            console.log('📋 Full API Response:', result);
-            
-            if (result.responses && result.responses[0]) {
-                const labels = result.responses[0].labelAnnotations || [];
-                const objects = result.responses[0].localizedObjectAnnotations || [];
-                
-                console.log('Google Vision API detected:', labels.map(l => ({
-                    label: l.description,
-                    confidence: l.score
-                })));
-                
-                // First try to match against our curated database
-                const databaseMatch = matchToDatabase([...labels, ...objects]);
-                if (databaseMatch && databaseMatch.confidence > 70) {
-                    console.log('Found high-confidence match in curated database');
-                    return databaseMatch;
-                }
-                
-                // If no good database match, generate dynamic instructions
-                const bestDetection = labels[0]; // Google returns sorted by confidence
-                if (bestDetection && bestDetection.score > 0.5) {
-                    console.log('Generating dynamic instructions for:', bestDetection.description);
-                    const dynamicObject = generateInstructionsForObject(bestDetection);
-                    return {
-                        object: dynamicObject,
-                        confidence: Math.round(bestDetection.score * 100),
-                        source: 'dynamic'
-                    };
-                }
+        let object = await findObjectById(objectId);
+        if (!object && sharedData) {
+            const shared = await decodeSharedObject(sharedData);
+            if (shared && shared.id === objectId) {
+                object = shared;
+                await cacheService.cacheObjectDetails(objectId, shared);
             }
-            
-            console.log('❌ No valid detections found');
-            return null;
-            
-        } catch (error) {
-            console.error('❌ API call failed:', error);
-            throw error;
         }
+        if (object) {
+            dispatch({ type: 'SET_CURRENT_OBJECT', payload: object });
+            dispatch({ type: 'SET_CURRENT_PHOTO', payload: null });
+            dispatch({ type: 'SET_CURRENT_IDENTIFICATION', payload: null });
+            dispatch({ type: 'SET_CONFIDENCE', payload: 0 });
+            dispatch({ type: 'SET_RECOGNITION_SOURCE', payload: 'link' });
+            dispatch({ type: 'SET_CANDIDATES', payload: [] });
+            dispatch({ type: 'SET_LAST_RECOGNITION', payload: null });
+        }
+        return object;
     };
 
-    const matchToDatabase = (detections) => {
-        console.log('Google Vision API detected:', detections.map(d => ({
-            label: d.description || d.name,
-            confidence: d.score
-        })));
+    // Shows a past identification again, with the confidence and source it had at the time
+    const reopenIdentification = async (entry) => {
+        const { id, confidence, source, provider } = entry.identification;
+        const photo = await cacheService.getThumbnail(id);
+        dispatch({ type: 'SET_CURRENT_OBJECT', payload: objectFromHistoryEntry(entry) });
+        dispatch({ type: 'SET_CURRENT_PHOTO', payload: photo });
+        dispatch({ type: 'SET_CURRENT_IDENTIFICATION', payload: id });
+        dispatch({ type: 'SET_CONFIDENCE', payload: confidence ?? 0 });
+        dispatch({ type: 'SET_RECOGNITION_PROVIDER', payload: provider });
+        dispatch({ type: 'SET_RECOGNITION_SOURCE', payload: source || 'link' });
+        dispatch({ type: 'SET_CANDIDATES', payload: [] });
+        dispatch({ type: 'SET_LAST_RECOGNITION', payload: null });
+    };
 
-        let bestMatch = null;
-        let highestScore = 0;
-        const minConfidenceThreshold = 0.3; // Minimum confidence to consider
+    const deleteIdentification = async (entryId) => {
+        if (entryId === state.currentIdentificationId) {
+            dispatch({ type: 'SET_CURRENT_IDENTIFICATION', payload: null });
+        }
+        dispatch({ type: 'SET_IDENTIFIED_OBJECTS', payload: await cacheService.deleteIdentification(entryId) });
+    };
 
-        detections.forEach(detection => {
-            const label = (detection.description || detection.name || '').toLowerCase();
-            const confidence = detection.score || 0;
+    const setIdentificationPinned = async (entryId, pinned) => {
+        dispatch({
+            type: 'SET_IDENTIFIED_OBJECTS',
+            payload: await cacheService.setIdentificationPinned(entryId, pinned)
+        });
+    };
 
-            // Skip low confidence detections
-            if (confidence < minConfidenceThreshold) return;
+    const clearDetectedObjects = () => {
+        dispatch({ type: 'SET_DETECTED_OBJECTS', payload: { objects: [], provider: null } });
+    };
 
-            objectDatabase.forEach(obj => {
-                let matchScore = 0;
-                const objName = obj.name.toLowerCase();
-                const objTags = obj.tags.map(tag => tag.toLowerCase());
-                const objCategory = obj.category.toLowerCase();
+    // `thumbnail` is the captured photo; choosing from candidates later takes it from lastRecognition
+    const applyRecognitionResult = async (result, { thumbnail = state.lastRecognition?.thumbnail || null } = {}) => {
+        if (result && result.object) {
+            dispatch({ type: 'SET_CURRENT_OBJECT', payload: result.object });
+            dispatch({ type: 'SET_CURRENT_PHOTO', payload: thumbnail });
+            dispatch({ type: 'COUNT_IDENTIFICATION' });
+            dispatch({ type: 'SET_CONFIDENCE', payload: result.confidence });
+            dispatch({ type: 'SET_RECOGNITION_PROVIDER', payload: result.provider });
+            dispatch({ type: 'SET_RECOGNITION_SOURCE', payload: result.source });
+            dispatch({ type: 'SET_CANDIDATES', payload: result.candidates || [] });
+
+            const history = await cacheService.saveIdentification(result.object, {
+                confidence: result.confidence,
+                source: result.provider === 'demo' ? 'demo' : result.source,
+                provider: result.provider
+            });
+            dispatch({ type: 'SET_IDENTIFIED_OBJECTS', payload: history });
+            dispatch({ type: 'SET_CURRENT_IDENTIFICATION', payload: history[0].identification.id });
+            if (thumbnail) {
+                await cacheService.saveThumbnail(history[0].identification.id, thumbnail);
+            }
+            // Generated objects only exist on this device; keep them for /object/:id links
+            if (!isCuratedObject(result.object.id)) {
+                await cacheService.cacheObjectDetails(result.object.id, result.object);
+            }
+        } else {
+            const errorMessage = result?.message || 'Object not recognized. Try taking another photo with better lighting or a different angle.';
+            dispatch({ type: 'SET_ERROR', payload: errorMessage });
+        }
+    };
 
-                // Exact name match (highest priority)
-                if (objName === label || label === objName) {
-                    matchScore += 1.0 * confidence;
-                }
-                // Partial name match (medium-high priority)
-                else if (objName.includes(label) || label.includes(objName)) {
-                    // But exclude very short matches to avoid false positives
-                    if (label.length > 3 && objName.length > 3) {
-                        matchScore += 0.7 * confidence;
-                    }
-                }
+    const performObjectRecognition = async (shots, { imageHash = null } = {}) => {
+        console.log('🚀 Starting object recognition...');
 
-                // Exact tag match (high priority)
-                objTags.forEach(tag => {
-                    if (tag === label || label === tag) {
-                        matchScore += 0.9 * confidence;
-                    }
-                    // Partial tag match (medium priority)
-                    else if ((tag.includes(label) || label.includes(tag)) && 
-                             label.length > 3 && tag.length > 3) {
-                        matchScore += 0.5 * confidence;
-                    }
-                });
-
-                // Category match (lower priority)
-                if (objCategory.includes(label) || label.includes(objCategory)) {
-                    matchScore += 0.3 * confidence;
-                }
+        // Demo mode only ever uses the deterministic demo provider
+        const chain = state.demoMode
+            ? [getRecognitionProvider('demo')].filter(Boolean)
+            : getRecognitionProviderChain();
+
+        // Preprocessed copies are shared by providers that want the same image size
+        const preparedImages = new Map();
 
-                // Special keyword mapping for common mismatches
-                const keywordMappings = {
-                    'mobile phone': ['smartphone', 'phone', 'mobile'],
-                    'smartphone': ['mobile phone', 'phone', 'cell phone'],
-                    'coffee maker': ['coffee machine', 'drip coffee'],
-                    'drill': ['power drill', 'electric drill'],
-                    'knife': ['kitchen knife', 'chef knife'],
-                    'screwdriver': ['tool', 'hand tool']
-                };
-
-                Object.entries(keywordMappings).forEach(([key, synonyms]) => {
-                    if (synonyms.some(synonym => 
-                        label.includes(synonym) || synonym.includes(label)
-                    )) {
-                        if (objName.includes(key) || objTags.includes(key)) {
-                            matchScore += 0.6 * confidence;
-                        }
-                    }
-                });
-
-                if (matchScore > highestScore && matchScore > 0.2) {
-                    highestScore = matchScore;
-                    bestMatch = {
-                        object: obj,
-                        confidence: Math.min(Math.round(matchScore * 100), 95),
-                        detectedAs: label,
-                        matchScore: matchScore.toFixed(2)
-                    };
+        // Walk the provider chain until one of them produces a usable result
+        for (const provider of chain) {
+            try {
+                if (!(await provider.isAvailable())) {
+                    console.log(`⏭️ Skipping ${provider.name}: not available`);
+                    continue;
                 }
-            });
-        });
 
-        console.log('Best match found:', bestMatch);
-        
-        // If no good match found, return null
-        if (!bestMatch || highestScore < 0.4) {
-            console.log('No confident match found, highest score:', highestScore);
-            return null;
-        }
+                console.log(`🔬 Attempting ${provider.name}...`);
+                const detections = await recognizeShots(provider, shots, preparedImages);
 
-        return bestMatch;
-    };
+                const localized = detections ? getLocalizedObjects(detections) : [];
+                if (localized.length > 1) {
+                    console.log(`🎯 ${provider.name} localized ${localized.length} objects, asking user to choose`);
+                    return { detectedObjects: localized, provider: provider.name, labels: detections.labels };
+                }
 
-    const performIntelligentMatching = async (imageData) => {
-        // Simulate processing time
-        await new Promise(resolve => setTimeout(resolve, 1500));
+                const result = detections && resolveDetections(detections, { imageHash });
 
-        // Demo mode: Check image characteristics for basic matching
-        const demoMatch = performDemoMatching(imageData);
-        if (demoMatch) {
-            return demoMatch;
+                if (result) {
+                    console.log(`✅ ${provider.name} success:`, result);
+                    return { ...result, provider: provider.name, labels: detections.labels };
+                }
+                console.log(`⚠️ ${provider.name} returned no results`);
+            } catch (error) {
+                console.error(`❌ ${provider.name} failed:`, error.message);
+            }
         }
 
-        // If no match, show helpful error
+        // If no provider matched, show helpful error
         return {
             object: null,
             confidence: 0,
-            message: 'Object not recognized. Try taking another photo with better lighting or search manually using the search tab.'
+            message: state.demoMode
+                ? 'Demo mode: This image is not one of the demo fixtures. Upload a fixture image or turn off demo mode.'
+                : 'Object not recognized. Try taking another photo with better lighting or search manually using the search tab.'
         };
     };
 
-    const performDemoMatching = (imageData) => {
-        // Demo logic: Simple image analysis for demonstration
-        // In a real app, this would use actual computer vision
-        
-        // Analyze image data URL to make educated guesses
-        const imageSize = imageData.length;
-        const hasRedChannel = imageData.includes('ff0000') || imageData.includes('red');
-        const hasBlueChannel = imageData.includes('0000ff') || imageData.includes('blue');
-        const hasGreenChannel = imageData.includes('00ff00') || imageData.includes('green');
-        
-        // Very basic pattern matching for demo
-        if (imageSize > 50000) { // Larger images might be appliances
-            const appliances = objectDatabase.filter(obj => obj.category === 'Appliances');
-            if (appliances.length > 0) {
-                return {
-                    object: appliances[0], // Coffee maker
-                    confidence: 65,
-                    message: 'Demo mode: Detected based on image size analysis'
-                };
-            }
+    const prepareImage = (provider, image, index, preparedImages) => {
+        const key = `${index}:${provider.maxImageDimension || 'original'}`;
+        if (!preparedImages.has(key)) {
+            preparedImages.set(key, preprocessImage(image, {
+                maxDimension: provider.maxImageDimension,
+                label: `angle ${index + 1} for ${provider.name}`
+            }).then(({ image: prepared }) => prepared));
         }
-        
-        if (imageSize < 30000) { // Smaller images might be tools
-            const tools = objectDatabase.filter(obj => obj.category === 'Hand Tools');
-            if (tools.length > 0) {
-                return {
-                    object: tools[0], // Screwdriver
-                    confidence: 70,
-                    message: 'Demo mode: Detected based on image characteristics'
-                };
-            }
+        return preparedImages.get(key);
+    };
+
+    const recognizeShots = async (provider, shots, preparedImages = new Map()) => {
+        const results = [];
+        for (const [index, { image, ...options }] of shots.entries()) {
+            const prepared = await prepareImage(provider, image, index, preparedImages);
+            const detections = normalizeRecognitionResult(await provider.recognize(prepared, options));
+            if (detections) results.push(detections);
+        }
+
+        if (results.length === 0) return null;
+        if (shots.length === 1) return results[0];
+
+        const fused = fuseRecognitionResults(results, shots.length);
+        console.log(`🧩 Fused ${results.length}/${shots.length} angles:`, fused.labels.map(l =>
+            `${l.description} ${(l.score * 100).toFixed(0)}% (${l.seenIn}/${shots.length})`
+        ));
+        return fused;
+    };
+
+    const getLocalizedObjects = ({ objects, match }) => {
+        if (match) return [];
+        return objects
+            .filter(object => object.boundingBox)
+            .sort((a, b) => b.score - a.score);
+    };
+
+    const resolveDetections = ({ labels, objects, match, text }, { imageHash = null } = {}) => {
+        const textDetails = extractTextDetails(text);
+        if (textDetails) {
+            console.log('🔤 Text on object:', textDetails);
+        }
+
+        // Provider already resolved the object (e.g. demo fixtures)
+        if (match && match.object) {
+            return { source: 'database', ...match, object: applyTextDetails(match.object, textDetails) };
+        }
+
+        // A model number printed on the object identifies the exact product
+        const product = textDetails?.modelNumber && findProductByModel(textDetails.modelNumber);
+        const productObject = product && toProductObject(product);
+        if (productObject) {
+            console.log(`🔤 Model number ${textDetails.modelNumber} matches ${product.productName}`);
+            return {
+                object: applyTextDetails(productObject, textDetails),
+                confidence: 95,
+                detectedAs: `model ${product.model}`,
+                source: 'database'
+            };
         }
-        
-        // Random selection from database as last resort for demo
-        if (Math.random() > 0.7) { // 30% chance of "recognition"
-            const randomObject = objectDatabase[Math.floor(Math.random() * objectDatabase.length)];
+
+        console.log('Provider detected:', labels.map(l => ({
+            label: l.description,
+            confidence: l.score
+        })));
+
+        // First try to match against our curated database
+        const textLabels = (textDetails?.keywords || []).map(word => ({ description: word, score: TEXT_KEYWORD_SCORE }));
+        const ranked = matchToDatabase([...labels, ...objects, ...textLabels], { imageHash });
+        const candidates = (ranked.length > 0 && ranked[0].matchScore >= MIN_MATCH_SCORE ? ranked : [])
+            .map(candidate => ({ ...candidate, object: applyTextDetails(candidate.object, textDetails) }));
+
+        // If no good database match, generate dynamic instructions
+        const fallback = generateDynamicResult(labels, textDetails);
+
+        if (candidates.length > 0) {
+            if (needsCandidateConfirmation(candidates)) {
+                console.log('Database match is ambiguous, asking user to confirm');
+                return { pendingCandidates: candidates, fallback };
+            }
+
+            console.log('Found high-confidence match in curated database');
+            const [top] = candidates;
             return {
-                object: randomObject,
-                confidence: Math.floor(Math.random() * 30) + 40, // 40-70% confidence
-                message: 'Demo mode: Random selection for demonstration'
+                object: top.object,
+                confidence: top.confidence,
+                detectedAs: top.detectedAs,
+                source: 'database',
+                candidates
             };
         }
-        
-        return null; // No match
+
+        if (fallback) return fallback;
+
+        console.log('❌ No valid detections found');
+        return null;
+    };
+
+    const generateDynamicResult = (labels, textDetails = null) => {
+        const bestDetection = labels[0]; // Providers return labels sorted by confidence
+        if (!bestDetection || bestDetection.score <= 0.5) return null;
+
+        console.log('Generating dynamic instructions for:', bestDetection.description);
+        const dynamicObject = generateInstructionsForObject(bestDetection, textDetails);
+        return {
+            object: dynamicObject,
+            confidence: Math.round(bestDetection.score * 100),
+            source: 'dynamic'
+        };
     };
 
-    const searchObjects = (query) => {
-        const results = objectDatabase.filter(obj =>
-            obj.name.toLowerCase().includes(query.toLowerCase()) ||
-            obj.category.toLowerCase().includes(query.toLowerCase()) ||
-            obj.tags.some(tag => tag.toLowerCase().includes(query.toLowerCase()))
-        );
+    // Scored results ({ item, score, matches, terms }), best first
+    const searchObjects = (query, options) => {
+        const results = searchObjectDatabase(query, options);
         dispatch({ type: 'SET_SEARCH_RESULTS', payload: results });
+        return results;
     };
 
     const addCommunityTip = (tip) => {
@@ -364,6 +567,18 @@ export const ObjectProvider = ({ children }) => {
     const value = {
         ...state,
         identifyObject,
+        identifyObjectFromAngles,
+        selectDetectedObject,
+        clearDetectedObjects,
+        chooseCandidate,
+        dismissCandidates,
+        confirmRecognition,
+        correctRecognition,
+        openObject,
+        reopenIdentification,
+        deleteIdentification,
+        setIdentificationPinned,
+        setDemoMode,
         searchObjects,
         addCommunityTip
     };
@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+import localforage from 'localforage';
+import { cacheService } from '../cacheService';
+
+const object = (id) => ({ id, name: `Object ${id}`, category: 'Tools' });
+
+// Saves `ids` in order, so the last one ends up first in history
+const saveScans = async (ids) => {
+    let history = [];
+    for (const id of ids) {
+        history = await cacheService.saveIdentification(object(id), { confidence: 80, source: 'database' });
+    }
+    return history;
+};
+
+beforeEach(async () => {
+    await localforage.clear();
+});
+
+describe('identification history', () => {
+    it('adds new scans to the front', async () => {
+        const history = await saveScans(['a', 'b']);
+        expect(history.map(entry => entry.id)).toEqual(['b', 'a']);
+        expect(new Set(history.map(entry => entry.identification.id)).size).toBe(2);
+    });
+
+    it('replaces the entry it is given, not the latest one, when an older scan is corrected', async () => {
+        const [latest, older] = await saveScans(['a', 'b']);
+
+        const history = await cacheService.saveIdentification(object('c'), {
+            replaceId: older.identification.id,
+            confidence: 100,
+            source: 'database'
+        });
+
+        expect(history.map(entry => entry.id)).toEqual(['b', 'c']);
+        expect(history[0]).toEqual(latest);
+        expect(history[1].identification).toMatchObject({ id: older.identification.id, confidence: 100 });
+        expect(history[1].timestamp).toBe(older.timestamp);
+    });
+
+    it('keeps the pin of a corrected entry', async () => {
+        const [entry] = await saveScans(['a']);
+        await cacheService.setIdentificationPinned(entry.identification.id, true);
+
+        const history = await cacheService.saveIdentification(object('b'), { replaceId: entry.identification.id });
+        expect(history).toHaveLength(1);
+        expect(history[0].identification.pinned).toBe(true);
+    });
+
+    it('adds a new scan when the entry to replace is gone', async () => {
+        const [entry] = await saveScans(['a']);
+        await cacheService.deleteIdentification(entry.identification.id);
+
+        const history = await cacheService.saveIdentification(object('b'), { replaceId: entry.identification.id });
+        expect(history.map(item => item.id)).toEqual(['b']);
+        expect(history[0].identification.id).not.toBe(entry.identification.id);
+    });
+});
+
+describe('history limit', () => {
+    const ids = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}-${i}`);
+
+    it('drops the oldest unpinned entries past 100 but keeps pinned ones', async () => {
+        const [pinned] = await saveScans(['pinned']);
+        await cacheService.setIdentificationPinned(pinned.identification.id, true);
+        await saveScans(ids(100, 'scan'));
+        expect(await cacheService.getIdentificationHistory()).toHaveLength(101);
+
+        const [evicted] = (await cacheService.getIdentificationHistory()).slice(-2);
+        expect(evicted.id).toBe('scan-0');
+        await cacheService.saveThumbnail(evicted.identification.id, 'data:image/jpeg;base64,AAAA');
+
+        const history = await saveScans(['latest']);
+
+        expect(history).toHaveLength(101);
+        expect(history.filter(entry => !entry.identification.pinned)).toHaveLength(100);
+        expect(history[0].id).toBe('latest');
+        expect(history.map(entry => entry.id)).not.toContain('scan-0');
+        expect(history[history.length - 1]).toMatchObject({ id: 'pinned', identification: { pinned: true } });
+        // The evicted entry's photo goes with it
+        expect(await cacheService.getThumbnail(evicted.identification.id)).toBeNull();
+        expect(await cacheService.getThumbnailIndex()).toEqual([]);
+    });
+});
+
+describe('thumbnails', () => {
+    const MB = 1024 * 1024;
+    const prefix = 'data:image/jpeg;base64,';
+    // A data URL exactly `megabytes` long, which is what the quota counts
+    const photo = (megabytes) => prefix + 'A'.repeat(megabytes * MB - prefix.length);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('evicts the oldest thumbnails first to stay within 5 MB', async () => {
+        expect(await cacheService.saveThumbnail('scan-1', photo(2))).toBe(true);
+        expect(await cacheService.saveThumbnail('scan-2', photo(1))).toBe(true);
+        expect(await cacheService.saveThumbnail('scan-3', photo(2))).toBe(true);
+        expect((await cacheService.getThumbnailIndex()).map(item => item.entryId)).toEqual(['scan-3', 'scan-2', 'scan-1']);
+
+        expect(await cacheService.saveThumbnail('scan-4', photo(2))).toBe(true);
+
+        const index = await cacheService.getThumbnailIndex();
+        expect(index.map(item => item.entryId)).toEqual(['scan-4', 'scan-3', 'scan-2']);
+        expect(index.reduce((total, item) => total + item.bytes, 0)).toBe(5 * MB);
+        expect(await cacheService.getThumbnail('scan-1')).toBeNull();
+        expect(await cacheService.getThumbnail('scan-2')).toBe(photo(1));
+    });
+
+    it('evicts as many as it takes', async () => {
+        await cacheService.saveThumbnail('scan-1', photo(1));
+        await cacheService.saveThumbnail('scan-2', photo(1));
+        await cacheService.saveThumbnail('scan-3', photo(1));
+
+        await cacheService.saveThumbnail('scan-4', photo(4));
+
+        expect((await cacheService.getThumbnailIndex()).map(item => item.entryId)).toEqual(['scan-4', 'scan-3']);
+        expect(await cacheService.getThumbnail('scan-1')).toBeNull();
+        expect(await cacheService.getThumbnail('scan-2')).toBeNull();
+    });
+
+    it('skips a thumbnail larger than the whole quota', async () => {
+        await cacheService.saveThumbnail('scan-1', photo(1));
+
+        expect(await cacheService.saveThumbnail('scan-2', photo(6))).toBe(false);
+        expect((await cacheService.getThumbnailIndex()).map(item => item.entryId)).toEqual(['scan-1']);
+    });
+
+    it('frees older thumbnails when the browser runs out of storage first', async () => {
+        await cacheService.saveThumbnail('scan-1', photo(1));
+        await cacheService.saveThumbnail('scan-2', photo(1));
+
+        const setItem = localforage.setItem.bind(localforage);
+        const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+        jest.spyOn(localforage, 'setItem')
+            .mockImplementationOnce(() => Promise.reject(quotaError))
+            .mockImplementation(setItem);
+
+        expect(await cacheService.saveThumbnail('scan-3', photo(1))).toBe(true);
+        expect((await cacheService.getThumbnailIndex()).map(item => item.entryId)).toEqual(['scan-3', 'scan-2']);
+        expect(await cacheService.getThumbnail('scan-1')).toBeNull();
+    });
+});
+
+describe('library', () => {
+    const saved = (id, extra = {}) => ({ ...object(id), instructions: [], ...extra });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.caches;
+    });
+
+    it('saves a snapshot of the object without local bookkeeping', async () => {
+        const library = await cacheService.saveToLibrary(saved('a', { timestamp: 1, cachedAt: 2 }));
+
+        expect(library.items.a).toMatchObject({ object: saved('a'), note: '', collections: [] });
+        expect(library.items.a.object).not.toHaveProperty('timestamp');
+        expect(library.items.a.object).not.toHaveProperty('cachedAt');
+        expect(await cacheService.getLibrary()).toEqual(library);
+    });
+
+    it('keeps the note, collections and save date when an object is saved again', async () => {
+        const first = await cacheService.saveToLibrary(saved('a'));
+        await cacheService.saveLibraryNote('a', 'Left in the garage');
+        await cacheService.setLibraryItemCollections('a', ['collection-1']);
+
+        const library = await cacheService.saveToLibrary(saved('a', { name: 'Renamed' }));
+        expect(library.items.a).toMatchObject({
+            object: { name: 'Renamed' },
+            note: 'Left in the garage',
+            collections: ['collection-1'],
+            savedAt: first.items.a.savedAt
+        });
+    });
+
+    it('removes an object, leaving the rest', async () => {
+        await cacheService.saveToLibrary(saved('a'));
+        await cacheService.saveToLibrary(saved('b'));
+
+        const library = await cacheService.removeFromLibrary('a');
+        expect(Object.keys(library.items)).toEqual(['b']);
+    });
+
+    it('ignores notes and collections for objects not in the library', async () => {
+        await cacheService.saveLibraryNote('missing', 'Note');
+        await cacheService.setLibraryItemCollections('missing', ['collection-1']);
+
+        expect((await cacheService.getLibrary()).items).toEqual({});
+    });
+
+    it('creates, renames and deletes collections', async () => {
+        jest.spyOn(Date, 'now').mockReturnValueOnce(1).mockReturnValueOnce(2);
+        await cacheService.saveToLibrary(saved('a'));
+        await cacheService.createCollection('  Garage ');
+        const { collections } = await cacheService.createCollection('Kitchen');
+        expect(collections.map(collection => [collection.id, collection.name]))
+            .toEqual([['collection-1', 'Garage'], ['collection-2', 'Kitchen']]);
+
+        await cacheService.setLibraryItemCollections('a', ['collection-1', 'collection-2']);
+        await cacheService.renameCollection('collection-1', 'Shed');
+
+        const library = await cacheService.deleteCollection('collection-2');
+        expect(library.collections.map(collection => collection.name)).toEqual(['Shed']);
+        // The object stays in the library, just not in the deleted collection
+        expect(library.items.a.collections).toEqual(['collection-1']);
+    });
+
+    it('refuses empty and duplicate collection names', async () => {
+        jest.spyOn(Date, 'now').mockReturnValueOnce(1).mockReturnValueOnce(2);
+        await cacheService.createCollection('Garage');
+        await cacheService.createCollection('Kitchen');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(cacheService.createCollection('   ')).rejects.toThrow('Collection name is required');
+        await expect(cacheService.createCollection('garage')).rejects.toThrow('already a collection called "garage"');
+        await expect(cacheService.renameCollection('collection-2', 'GARAGE')).rejects.toThrow('already a collection');
+        // Renaming a collection to its own name in another case is fine
+        await expect(cacheService.renameCollection('collection-1', 'GARAGE')).resolves.toBeTruthy();
+    });
+
+    it('caches remote images of saved objects for offline use', async () => {
+        const cache = { add: jest.fn(() => Promise.resolve()) };
+        global.caches = { open: jest.fn(() => Promise.resolve(cache)) };
+
+        await cacheService.saveToLibrary(saved('a', {
+            image: '/images/a.jpg',
+            instructions: [{ title: 'Step', image: 'data:image/png;base64,AAAA' }, { title: 'Step', image: '/images/a-2.jpg' }]
+        }));
+
+        expect(caches.open).toHaveBeenCalledWith('object-images');
+        expect(cache.add.mock.calls).toEqual([['/images/a.jpg'], ['/images/a-2.jpg']]);
+    });
+});
@@ -0,0 +1,115 @@
+import localforage from 'localforage';
+import { cacheService } from '../cacheService';
+import { submitErrorReport, flushErrorReports, getReportableFields } from '../errorReportService';
+import { objectDatabase } from '../../data/objectDatabase';
+
+const drill = objectDatabase.find(obj => obj.id === 'drill-001');
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body)
+});
+
+let online;
+
+beforeEach(async () => {
+    await localforage.clear();
+    online = true;
+    jest.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+describe('getReportableFields', () => {
+    it('offers every step and warning of the object', () => {
+        const values = getReportableFields(drill).map(option => option.value);
+        expect(values).toEqual(expect.arrayContaining(['general', 'step-1', 'step-2', 'general-0', 'details']));
+    });
+});
+
+describe('submitErrorReport', () => {
+    it('queues the report while offline without trying to send it', async () => {
+        online = false;
+
+        const report = await submitErrorReport(drill, 'step-2', '  Wrong bit size  ');
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(report).toMatchObject({
+            objectId: 'drill-001',
+            status: 'queued',
+            description: 'Wrong bit size',
+            field: { type: 'step', ref: 2, label: 'Step 2: Basic Drilling Technique' }
+        });
+        expect(await cacheService.getErrorReports()).toEqual([report]);
+    });
+
+    it('rejects a report without a description', async () => {
+        await expect(submitErrorReport(drill, 'step-2', '   ')).rejects.toThrow('Describe what is wrong');
+        expect(await cacheService.getErrorReports()).toEqual([]);
+    });
+});
+
+describe('flushErrorReports', () => {
+    const queueOffline = async (description) => {
+        online = false;
+        const report = await submitErrorReport(drill, 'general', description);
+        online = true;
+        return report;
+    };
+
+    it('sends queued reports once back online and stores the server status', async () => {
+        const report = await queueOffline('Battery warning is missing');
+        fetch.mockResolvedValue(jsonResponse(201, { id: 'remote-1', status: 'received' }));
+
+        const [sent] = await flushErrorReports();
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('/api/reports');
+        expect(JSON.parse(options.body)).toMatchObject({ clientId: report.id, objectId: 'drill-001' });
+        expect(sent).toMatchObject({ id: report.id, status: 'received', remoteId: 'remote-1', lastError: null });
+    });
+
+    it('keeps the report queued when the endpoint is unreachable', async () => {
+        const report = await queueOffline('Battery warning is missing');
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const [kept] = await flushErrorReports();
+
+        expect(kept).toMatchObject({ id: report.id, status: 'queued' });
+    });
+
+    it('keeps the report queued with the error when the server fails', async () => {
+        const report = await queueOffline('Battery warning is missing');
+        fetch.mockResolvedValue(jsonResponse(503, { error: 'Try again later' }));
+
+        const [kept] = await flushErrorReports();
+
+        expect(kept).toMatchObject({ id: report.id, status: 'queued', lastError: 'Try again later' });
+    });
+
+    it('marks a report the server rejects as failed', async () => {
+        await queueOffline('Battery warning is missing');
+        fetch.mockResolvedValue(jsonResponse(400, { error: 'Unknown field' }));
+
+        const [rejected] = await flushErrorReports();
+
+        expect(rejected).toMatchObject({ status: 'failed', lastError: 'Unknown field' });
+    });
+
+    it('sends nothing while offline', async () => {
+        await queueOffline('Battery warning is missing');
+        online = false;
+
+        const [kept] = await flushErrorReports();
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(kept.status).toBe('queued');
+    });
+});
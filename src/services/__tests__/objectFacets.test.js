@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+import { objectDatabase } from '../../data/objectDatabase';
+import { parseTimeEstimate, OBJECT_FACETS } from '../objectFacets';
+
+const timeFacet = OBJECT_FACETS.find(facet => facet.id === 'time');
+
+describe('parseTimeEstimate', () => {
+    it.each([
+        ['5 min', { min: 5, max: 5 }],
+        ['5-10 min', { min: 5, max: 10 }],
+        ['1-2 hours', { min: 60, max: 120 }],
+        ['30 seconds', { min: 0.5, max: 0.5 }],
+        ['45 sec', { min: 0.75, max: 0.75 }],
+        ['15-30 min setup', { min: 15, max: 30 }],
+        ['1.5 hours', { min: 90, max: 90 }],
+        ['0.5-1.5 hrs', { min: 30, max: 90 }],
+        ['2h', { min: 120, max: 120 }],
+        ['10 minutes', { min: 10, max: 10 }],
+        ['5 small steps', { min: 5, max: 5 }],
+        ['3 hot presses', { min: 3, max: 3 }]
+    ])('parses %j', (estimate, expected) => {
+        expect(parseTimeEstimate(estimate)).toEqual(expected);
+    });
+
+    it('returns null without a number', () => {
+        expect(parseTimeEstimate('a while')).toBeNull();
+        expect(parseTimeEstimate(undefined)).toBeNull();
+    });
+});
+
+describe('time facet', () => {
+    it('files estimates given in seconds as quick', () => {
+        const extinguisher = objectDatabase.find(obj => obj.id === 'fire-extinguisher-001');
+        expect(extinguisher.timeEstimate).toBe('30 seconds');
+        expect(timeFacet.get(extinguisher)).toBe('quick');
+    });
+
+    it('puts every curated object in a time bucket', () => {
+        const buckets = timeFacet.values.map(option => option.value);
+        objectDatabase.forEach(obj => {
+            expect(buckets).toContain(timeFacet.get(obj));
+        });
+    });
+});
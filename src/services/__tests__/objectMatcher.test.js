@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import {
+    matchToDatabase,
+    needsCandidateConfirmation,
+    setLearnedCorrections,
+    AUTO_ACCEPT_CONFIDENCE,
+    AMBIGUOUS_SCORE_RATIO
+} from '../objectMatcher';
+
+const candidate = (id, confidence, matchScore = confidence / 100) => ({
+    object: { id },
+    confidence,
+    matchScore,
+    detectedAs: id
+});
+
+const match = (labels, options) =>
+    matchToDatabase(labels.map(([description, score]) => ({ description, score })), { quiet: true, ...options });
+
+afterEach(() => {
+    setLearnedCorrections([]);
+});
+
+describe('needsCandidateConfirmation', () => {
+    it('auto-accepts from AUTO_ACCEPT_CONFIDENCE up', () => {
+        expect(AUTO_ACCEPT_CONFIDENCE).toBe(70);
+        expect(needsCandidateConfirmation([candidate('drill-001', 69)])).toBe(true);
+        expect(needsCandidateConfirmation([candidate('drill-001', 70)])).toBe(false);
+    });
+
+    it('asks when the runner-up scores AMBIGUOUS_SCORE_RATIO of the top or more', () => {
+        expect(AMBIGUOUS_SCORE_RATIO).toBe(0.85);
+        expect(needsCandidateConfirmation([candidate('drill-001', 95, 1.2), candidate('screwdriver-001', 95, 1.02)])).toBe(true);
+        expect(needsCandidateConfirmation([candidate('drill-001', 95, 1.2), candidate('screwdriver-001', 95, 1.01)])).toBe(false);
+    });
+
+    it('compares raw scores rather than the capped confidence', () => {
+        expect(needsCandidateConfirmation([candidate('drill-001', 95, 2.0), candidate('screwdriver-001', 95, 1.0)])).toBe(false);
+    });
+
+    it('has nothing to confirm without candidates', () => {
+        expect(needsCandidateConfirmation([])).toBe(false);
+    });
+});
+
+describe('matchToDatabase', () => {
+    it('ranks an exact name match first', () => {
+        const [top] = match([['cordless drill', 0.9]]);
+        expect(top).toMatchObject({ object: { id: 'drill-001' }, detectedAs: 'cordless drill' });
+        expect(needsCandidateConfirmation([top])).toBe(false);
+    });
+
+    it('ignores detections below the minimum confidence', () => {
+        expect(match([['cordless drill', 0.2]])).toEqual([]);
+    });
+
+    it('treats a label the user tied to an object as a synonym for it', () => {
+        expect(match([['gizmo', 0.9]])).toEqual([]);
+
+        setLearnedCorrections([{ labels: ['gizmo'], correctedId: 'drill-001', originalId: null }]);
+        const [learned] = match([['gizmo', 0.9]]);
+        expect(learned).toMatchObject({ object: { id: 'drill-001' }, detectedAs: 'gizmo', confidence: 72 });
+        expect(needsCandidateConfirmation([learned])).toBe(false);
+    });
+
+    it('counts a correction against the object it replaced', () => {
+        const before = match([['power tool', 0.9]]).find(c => c.object.id === 'drill-001');
+
+        setLearnedCorrections([{ labels: ['power tool'], correctedId: 'screwdriver-001', originalId: 'drill-001' }]);
+        const after = match([['power tool', 0.9]]);
+
+        expect(after[0].object.id).toBe('screwdriver-001');
+        const drill = after.find(c => c.object.id === 'drill-001');
+        expect(drill ? drill.matchScore : 0).toBeLessThan(before.matchScore);
+    });
+
+    it('resolves a re-scan of a corrected photo to the user\'s choice', () => {
+        setLearnedCorrections([{ imageHash: 'ffff0000ffff0000', labels: [], correctedId: 'plant-001', originalId: 'drill-001' }]);
+
+        const [top] = match([['power tool', 0.6]], { imageHash: 'ffff0000ffff0001' });
+        expect(top).toMatchObject({ object: { id: 'plant-001' }, detectedAs: 'your earlier correction' });
+        expect(match([['power tool', 0.6]], { imageHash: '0000ffff0000ffff' })[0].object.id).toBe('drill-001');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import { findProductByCode, findProductByModel, toProductObject, findProductObjectById } from '../productLookup';
+
+jest.mock('../../data/productIndex', () => ({
+    productIndex: [
+        { codes: ['2000001000014'], objectId: 'drill-001', brand: 'Voltix', model: 'VX-18D', productName: 'Voltix Drill', specs: { Battery: '18V' } },
+        { codes: ['012345678905', '2000009000015'], objectId: 'coffee-maker-001', brand: 'BrewHaus', model: 'BH 1200', productName: 'BrewHaus Coffee Maker', specs: {} },
+        { codes: ['2000008000016'], objectId: 'no-such-object', brand: 'Nobody', model: 'X-1', productName: 'Ghost', specs: {} }
+    ]
+}));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('findProductByCode', () => {
+    it('finds a product by any of its codes', () => {
+        expect(findProductByCode('2000001000014').model).toBe('VX-18D');
+        expect(findProductByCode(' 2000009000015 ').model).toBe('BH 1200');
+    });
+
+    it('matches UPC-A against its EAN-13 form and back', () => {
+        expect(findProductByCode('012345678905').model).toBe('BH 1200');
+        expect(findProductByCode('0012345678905').model).toBe('BH 1200');
+    });
+
+    it('returns null for an unknown code', () => {
+        expect(findProductByCode('4006381333931')).toBeNull();
+    });
+});
+
+describe('findProductByModel', () => {
+    it.each(['VX-18D', 'vx 18d', 'VX18D', 'vx/18d'])('finds %j whatever the spacing and case', (model) => {
+        expect(findProductByModel(model).productName).toBe('Voltix Drill');
+    });
+
+    it('returns null for an unknown or empty model', () => {
+        expect(findProductByModel('VX-20D')).toBeNull();
+        expect(findProductByModel('--')).toBeNull();
+    });
+});
+
+describe('toProductObject', () => {
+    it('merges the product into its database object under its own id', () => {
+        const object = toProductObject(findProductByCode('2000001000014'));
+
+        expect(object).toMatchObject({
+            id: 'drill-001:2000001000014',
+            baseObjectId: 'drill-001',
+            name: 'Voltix Drill',
+            brand: 'Voltix',
+            model: 'VX-18D',
+            specs: { Battery: '18V' },
+            category: 'Power Tools'
+        });
+        expect(object.instructions.length).toBeGreaterThan(0);
+    });
+
+    it('uses the EAN-13 form of a UPC-A code in the id', () => {
+        expect(toProductObject(findProductByCode('012345678905')).id).toBe('coffee-maker-001:0012345678905');
+    });
+
+    it('returns null for a product of an unknown object', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(toProductObject(findProductByCode('2000008000016'))).toBeNull();
+    });
+});
+
+describe('findProductObjectById', () => {
+    it('resolves an id made by toProductObject', () => {
+        expect(findProductObjectById('drill-001:2000001000014')).toEqual(toProductObject(findProductByCode('2000001000014')));
+        expect(findProductObjectById('coffee-maker-001:0012345678905').model).toBe('BH 1200');
+    });
+
+    it('returns null for plain ids and mismatched products', () => {
+        expect(findProductObjectById('drill-001')).toBeNull();
+        expect(findProductObjectById('coffee-maker-001:2000001000014')).toBeNull();
+        expect(findProductObjectById('drill-001:4006381333931')).toBeNull();
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import { fuseRecognitionResults, normalizeRecognitionResult } from '../recognitionProviders';
+
+const box = { x: 0.1, y: 0.1, width: 0.5, height: 0.5 };
+
+const shot = ({ labels = [], objects = [], match = null, text = '' }) => normalizeRecognitionResult({
+    labels: labels.map(([description, score]) => ({ description, score })),
+    objects: objects.map(([name, score]) => ({ name, score, boundingBox: box })),
+    match,
+    text
+});
+
+const scoresOf = (entries, key) =>
+    Object.fromEntries(entries.map(entry => [entry[key], Number(entry.score.toFixed(4))]));
+
+describe('fuseRecognitionResults', () => {
+    it('passes a single shot through unchanged', () => {
+        const result = shot({ labels: [['Drill', 0.9]], objects: [['Drill', 0.8]], text: 'VX-18D' });
+
+        expect(fuseRecognitionResults([result])).toBe(result);
+    });
+
+    it('averages two shots, counting 0 for a label one shot missed', () => {
+        const fused = fuseRecognitionResults([
+            shot({ labels: [['Drill', 0.9], ['Tool', 0.6]], objects: [['Drill', 0.8]] }),
+            shot({ labels: [['drill', 0.7], ['Hammer', 0.8]], objects: [['Drill', 0.6]] })
+        ]);
+
+        expect(scoresOf(fused.labels, 'description')).toEqual({ Drill: 0.8, Hammer: 0.4, Tool: 0.3 });
+        expect(fused.labels.map(label => label.description)).toEqual(['Drill', 'Hammer', 'Tool']);
+        expect(fused.labels[0].seenIn).toBe(2);
+        expect(fused.objects).toEqual([{ name: 'Drill', seenIn: 2, score: 0.7, boundingBox: null }]);
+    });
+
+    it('merges labels, objects and text across three shots', () => {
+        const fused = fuseRecognitionResults([
+            shot({ labels: [['Kettle', 0.9], ['Kettle', 0.5]], objects: [['Kettle', 0.9]], text: 'MAX 1.7L' }),
+            shot({ labels: [['Kettle', 0.6], ['Jug', 0.9]], objects: [['Kettle', 0.6], ['Cup', 0.3]], text: 'KT-200' }),
+            shot({ labels: [['Kettle', 0.9]], text: 'MAX 1.7L' })
+        ]);
+
+        // Duplicates within a shot count once, at their best score
+        expect(scoresOf(fused.labels, 'description')).toEqual({ Kettle: 0.8, Jug: 0.3 });
+        expect(fused.labels.map(label => [label.description, label.seenIn])).toEqual([['Kettle', 3], ['Jug', 1]]);
+        expect(scoresOf(fused.objects, 'name')).toEqual({ Kettle: 0.5, Cup: 0.1 });
+        expect(fused.objects.every(object => object.boundingBox === null)).toBe(true);
+        expect(fused.text).toBe('MAX 1.7L\nKT-200');
+    });
+
+    it('divides by every shot taken, including ones that returned nothing', () => {
+        const fused = fuseRecognitionResults([shot({ labels: [['Drill', 0.9]] })], 3);
+
+        expect(scoresOf(fused.labels, 'description')).toEqual({ Drill: 0.3 });
+    });
+
+    it('picks the match most shots agree on, then the most confident', () => {
+        const drill = { id: 'drill-001' };
+        const knife = { id: 'kitchen-knife-001' };
+        const fused = fuseRecognitionResults([
+            shot({ match: { object: knife, confidence: 99 } }),
+            shot({ match: { object: drill, confidence: 70 } }),
+            shot({ match: { object: drill, confidence: 85 } })
+        ]);
+
+        expect(fused.match).toEqual({ object: drill, confidence: 85 });
+        expect(fuseRecognitionResults([shot({}), shot({})]).match).toBeNull();
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import { searchObjectDatabase, getResultLink, describeLocation } from '../objectSearch';
+import { searchTasks } from '../taskSearch';
+import { clampStep } from '../../components/InstructionViewer';
+
+jest.mock('fabric', () => ({ fabric: {} }));
+
+const topLink = (query) => {
+    const [result] = searchObjectDatabase(query);
+    return getResultLink(result.item.id, result.location);
+};
+
+describe('object search deep links', () => {
+    it('links a match in a step tip to that step', () => {
+        const [result] = searchObjectDatabase('pilot holes');
+        expect(result.item.id).toBe('drill-001');
+        expect(result.location.ref).toEqual({ step: 2 });
+        expect(describeLocation(result.location)).toBe('Step 2');
+        expect(topLink('pilot holes')).toBe('/object/drill-001?step=2');
+    });
+
+    it('links a match in a general warning to that warning', () => {
+        const [result] = searchObjectDatabase('cut away from body');
+        expect(describeLocation(result.location)).toBe('Safety warning');
+        expect(topLink('cut away from body')).toBe('/object/kitchen-knife-001?warning=general-0');
+        expect(topLink('catch falling knife')).toBe('/object/kitchen-knife-001?warning=general-2');
+    });
+
+    it('links a match on the object itself to the plain object page', () => {
+        const [result] = searchObjectDatabase('cordless drill');
+        expect(result.location).toBeNull();
+        expect(getResultLink(result.item.id, result.location)).toBe('/object/drill-001');
+    });
+});
+
+describe('task search deep links', () => {
+    it('finds the step a curated intent points at', () => {
+        const [task] = searchTasks('how do I drill pilot holes');
+        expect(task).toMatchObject({ step: 2, stepTitle: 'Basic Drilling Technique' });
+        expect(task.intent.id).toBe('drill-hole');
+        expect(getResultLink(task.object.id, { ref: { step: task.step } })).toBe('/object/drill-001?step=2');
+    });
+});
+
+describe('clampStep', () => {
+    it.each([
+        [2, 3, 1],
+        [1, 3, 0],
+        [null, 3, 0],
+        [0, 3, 0],
+        [-4, 3, 0],
+        [99, 3, 2],
+        [2, 0, 0]
+    ])('opens step %j of %j at index %j', (step, totalSteps, index) => {
+        expect(clampStep(step, totalSteps)).toBe(index);
+    });
+});
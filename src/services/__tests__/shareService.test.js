@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import { encodeSharedObject, decodeSharedObject, getSharedDataFromHash } from '../shareService';
+
+const generated = {
+    id: 'generated-kettle-1700000000000',
+    name: 'Électrique Kettle – 1.7 L',
+    category: 'Appliances',
+    image: 'data:image/jpeg;base64,/9j/4AAQ',
+    timestamp: 1700000000000,
+    instructions: [{ title: 'Fill to the line', description: 'Never above MAX ⚠️' }]
+};
+
+// What the recipient gets: no photo and no local timestamp
+const shared = { ...generated, image: null };
+delete shared.timestamp;
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('shared object links', () => {
+    it('round-trips an object through a deflated link, leaving the photo on the device', async () => {
+        const encoded = await encodeSharedObject(generated);
+
+        expect(encoded).toMatch(/^z[A-Za-z0-9_-]+$/);
+        expect(await decodeSharedObject(encoded)).toEqual(shared);
+    });
+
+    it('round-trips through plain JSON where CompressionStream is missing', async () => {
+        const { CompressionStream } = global;
+        delete global.CompressionStream;
+        try {
+            const encoded = await encodeSharedObject(generated);
+            expect(encoded[0]).toBe('j');
+            expect(await decodeSharedObject(encoded)).toEqual(shared);
+        } finally {
+            global.CompressionStream = CompressionStream;
+        }
+    });
+
+    it('reads the encoded object from the location hash', async () => {
+        const encoded = await encodeSharedObject(generated);
+
+        expect(getSharedDataFromHash(`#shared=${encoded}`)).toBe(encoded);
+        expect(getSharedDataFromHash('#section=safety')).toBeNull();
+        expect(getSharedDataFromHash('')).toBeNull();
+        expect(getSharedDataFromHash(undefined)).toBeNull();
+    });
+
+    it.each([
+        ['an unknown prefix', 'xeyJpZCI6ImEifQ'],
+        ['invalid base64', 'j!!!'],
+        ['truncated deflate data', 'zq1YqzUxRslIqzs9JUQ'],
+        ['JSON that is not an object', `j${Buffer.from('[1,2]').toString('base64url')}`],
+        ['an object without instructions', `j${Buffer.from('{"id":"a","name":"A"}').toString('base64url')}`],
+        ['an empty value', ''],
+        ['no value', null]
+    ])('returns null for %s', async (_, encoded) => {
+        await expect(decodeSharedObject(encoded)).resolves.toBeNull();
+    });
+
+    it('returns null for a malformed #shared= fragment instead of throwing', async () => {
+        for (const hash of ['#shared=%E0%A4%A', '#shared=', '#shared', '#shared=z%%%']) {
+            const encoded = getSharedDataFromHash(hash);
+            await expect(decodeSharedObject(encoded)).resolves.toBeNull();
+        }
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { labelTaxonomy } from '../../data/labelTaxonomy';
+import { validateLabelTaxonomy, importLabelTaxonomy, getTaxonomyInfo } from '../taxonomyService';
+import { cacheService } from '../cacheService';
+
+jest.mock('../cacheService', () => ({
+    cacheService: {
+        saveLabelTaxonomy: jest.fn(() => Promise.resolve()),
+        clearLabelTaxonomy: jest.fn(() => Promise.resolve()),
+        getLabelTaxonomy: jest.fn(() => Promise.resolve(null))
+    }
+}));
+
+const entry = (overrides = {}) => ({
+    label: 'stapler',
+    canonicalName: 'Stapler',
+    synonyms: ['paper stapler'],
+    category: 'General Items',
+    ...overrides
+});
+
+describe('bundled label taxonomy', () => {
+    it('passes validation without errors or warnings', () => {
+        const result = validateLabelTaxonomy(labelTaxonomy);
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+        expect(result.valid).toBe(true);
+    });
+});
+
+describe('importLabelTaxonomy', () => {
+    beforeEach(() => {
+        cacheService.saveLabelTaxonomy.mockClear();
+    });
+
+    it('rejects invalid JSON', async () => {
+        const result = await importLabelTaxonomy('{ "version": ');
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toMatch(/Invalid JSON/);
+    });
+
+    it.each([
+        ['a missing label', entry({ label: undefined }), /"label" is required/],
+        ['an uppercase label', entry({ label: 'Stapler' }), /must be lowercase/],
+        ['a missing canonical name', entry({ canonicalName: '' }), /"canonicalName" is required/],
+        ['non-string synonyms', entry({ synonyms: ['ok', 3] }), /"synonyms" must be an array/],
+        ['an unknown category', entry({ category: 'Spaceships' }), /unknown category/],
+        ['an unknown object id', entry({ objectId: 'stapler-999' }), /unknown objectId/],
+        ['no category, object id or synonyms', entry({ category: undefined, synonyms: [] }), /needs at least/]
+    ])('rejects an entry with %s', async (_, badEntry, message) => {
+        const result = await importLabelTaxonomy({ version: labelTaxonomy.version, entries: [badEntry] });
+        expect(result.valid).toBe(false);
+        expect(result.errors.join('\n')).toMatch(message);
+        expect(cacheService.saveLabelTaxonomy).not.toHaveBeenCalled();
+    });
+
+    it('rejects a synonym listed by two entries', async () => {
+        const result = await importLabelTaxonomy({
+            version: labelTaxonomy.version,
+            entries: [entry(), entry({ label: 'staple gun', canonicalName: 'Staple Gun' })]
+        });
+        expect(result.valid).toBe(false);
+        expect(result.errors.join('\n')).toMatch(/synonym "paper stapler" is also listed by "stapler"/);
+    });
+
+    it('rejects a synonym already used by the active taxonomy when merging', async () => {
+        const result = await importLabelTaxonomy({
+            version: labelTaxonomy.version,
+            entries: [entry({ synonyms: ['cell phone'] })]
+        });
+        expect(result.valid).toBe(false);
+        expect(result.errors.join('\n')).toMatch(/"cell phone"/);
+    });
+
+    it.each([
+        ['missing', undefined],
+        ['zero', 0],
+        ['fractional', 1.5],
+        ['a string', '2']
+    ])('rejects a version that is %s', async (_, version) => {
+        const result = await importLabelTaxonomy({ version, entries: [entry()] });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('"version" must be a positive integer');
+    });
+
+    it('merges and persists a valid taxonomy', async () => {
+        const result = await importLabelTaxonomy({ version: labelTaxonomy.version + 1, entries: [entry()] });
+        expect(result.valid).toBe(true);
+        expect(result.info).toEqual(getTaxonomyInfo());
+        expect(result.info.entryCount).toBe(labelTaxonomy.entries.length + 1);
+        expect(cacheService.saveLabelTaxonomy).toHaveBeenCalledTimes(1);
+    });
+});
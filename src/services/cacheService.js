@@ -4,9 +4,33 @@ const CACHE_KEYS = {
     IDENTIFICATION_HISTORY: 'identification_history',
     OBJECT_CACHE: 'object_cache',
     COMMUNITY_TIPS: 'community_tips',
-    USER_PREFERENCES: 'user_preferences'
+    USER_PREFERENCES: 'user_preferences',
+    CANDIDATE_FEEDBACK: 'candidate_feedback',
+    RECOGNITION_CORRECTIONS: 'recognition_corrections',
+    LABEL_TAXONOMY: 'label_taxonomy',
+    LIBRARY: 'library',
+    ERROR_REPORTS: 'error_reports',
+    THUMBNAIL_INDEX: 'thumbnail_index'
 };
 
+// Each photo thumbnail lives under its own key so the history list itself stays small
+const thumbnailKey = (entryId) => `thumbnail_${entryId}`;
+
+// Unpinned identifications kept in history
+const HISTORY_LIMIT = 100;
+
+// Sent or failed error reports kept; queued ones are never dropped before they're sent
+const ERROR_REPORT_LIMIT = 100;
+
+// Budget for photo thumbnails (characters of data URL, ~25 KB each); oldest go first
+const THUMBNAIL_QUOTA_BYTES = 5 * 1024 * 1024;
+
+const EMPTY_LIBRARY = { items: {}, collections: [] };
+
+// Object and step images, cached when an object is saved so the library works offline.
+// Same cache name as the Workbox runtime route for /images/ in webpack.config.js.
+const LIBRARY_IMAGE_CACHE = 'object-images';
+
 localforage.config({
     name: 'ObjectWise',
     version: 1.0,
@@ -15,14 +39,40 @@ localforage.config({
 });
 
 export const cacheService = {
-    async saveIdentification(object) {
+    // History entries are the identified object plus `timestamp` and `identification`:
+    // { id, confidence, source, provider, pinned }. Pinned entries are never dropped.
+    // `replaceId` overwrites that entry in place, e.g. when the user corrects it; without a
+    // matching entry the object is added as a new scan.
+    async saveIdentification(object, { replaceId = null, confidence = null, source = null, provider = null } = {}) {
         try {
             const history = await this.getIdentificationHistory();
-            const updatedHistory = [
-                { ...object, timestamp: new Date().toISOString() },
-                ...history.slice(0, 19)
-            ];
+            const replaced = replaceId ? history.find(item => item.identification.id === replaceId) : null;
+            const entry = {
+                ...object,
+                timestamp: replaced?.timestamp || new Date().toISOString(),
+                identification: {
+                    id: replaced?.identification.id || `scan-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                    confidence,
+                    source,
+                    provider,
+                    pinned: replaced?.identification.pinned || false
+                }
+            };
+
+            const entries = replaced
+                ? history.map(item => (item === replaced ? entry : item))
+                : [entry, ...history];
+
+            let unpinned = 0;
+            const updatedHistory = entries.filter(item =>
+                item.identification.pinned || ++unpinned <= HISTORY_LIMIT);
             await localforage.setItem(CACHE_KEYS.IDENTIFICATION_HISTORY, updatedHistory);
+
+            const keptIds = new Set(updatedHistory.map(item => item.identification.id));
+            await Promise.all(history
+                .filter(item => !keptIds.has(item.identification.id))
+                .map(item => this.deleteThumbnail(item.identification.id)));
+
             return updatedHistory;
         } catch (error) {
             console.error('Failed to save identification:', error);
@@ -33,13 +83,61 @@ export const cacheService = {
     async getIdentificationHistory() {
         try {
             const history = await localforage.getItem(CACHE_KEYS.IDENTIFICATION_HISTORY);
-            return history || [];
+            // Entries saved before identification metadata existed
+            return (history || []).map(entry => (entry.identification ? entry : {
+                ...entry,
+                identification: {
+                    id: `scan-${Date.parse(entry.timestamp) || 0}`,
+                    confidence: null,
+                    source: null,
+                    provider: null,
+                    pinned: false
+                }
+            }));
         } catch (error) {
             console.error('Failed to get identification history:', error);
             return [];
         }
     },
 
+    async updateIdentificationHistory(update) {
+        try {
+            const history = update(await this.getIdentificationHistory());
+            await localforage.setItem(CACHE_KEYS.IDENTIFICATION_HISTORY, history);
+            return history;
+        } catch (error) {
+            console.error('Failed to update identification history:', error);
+            throw error;
+        }
+    },
+
+    async deleteIdentification(entryId) {
+        const history = await this.updateIdentificationHistory(entries =>
+            entries.filter(entry => entry.identification.id !== entryId));
+        await this.deleteThumbnail(entryId);
+        return history;
+    },
+
+    async setIdentificationPinned(entryId, pinned) {
+        return this.updateIdentificationHistory(history => history.map(entry => (
+            entry.identification.id === entryId
+                ? { ...entry, identification: { ...entry.identification, pinned } }
+                : entry
+        )));
+    },
+
+    // Matches past identifications by name, brand, model or text read off the object
+    async searchIdentificationHistory(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [];
+
+        const history = await this.getIdentificationHistory();
+        return history.filter(entry =>
+            [entry.name, entry.brand, entry.model, entry.recognizedText]
+                .some(field => field && field.toLowerCase().includes(needle))
+        );
+    },
+
     async cacheObjectDetails(objectId, details) {
         try {
             const cache = await localforage.getItem(CACHE_KEYS.OBJECT_CACHE) || {};
@@ -113,7 +211,8 @@ export const cacheService = {
                 language: 'en',
                 units: 'metric',
                 safetyLevel: 'standard',
-                expertMode: false
+                expertMode: false,
+                demoMode: false
             };
         } catch (error) {
             console.error('Failed to get user preferences:', error);
@@ -121,6 +220,333 @@ export const cacheService = {
         }
     },
 
+    async saveCandidateFeedback(feedback) {
+        try {
+            const entries = await localforage.getItem(CACHE_KEYS.CANDIDATE_FEEDBACK) || [];
+            entries.unshift({ ...feedback, timestamp: new Date().toISOString() });
+            await localforage.setItem(CACHE_KEYS.CANDIDATE_FEEDBACK, entries.slice(0, 500));
+        } catch (error) {
+            console.error('Failed to save candidate feedback:', error);
+            throw error;
+        }
+    },
+
+    async getCandidateFeedbackStats() {
+        try {
+            const entries = await localforage.getItem(CACHE_KEYS.CANDIDATE_FEEDBACK) || [];
+            const topOneCorrect = entries.filter(entry => entry.chosenRank === 0).length;
+
+            return {
+                total: entries.length,
+                topOneCorrect,
+                topOneWrong: entries.length - topOneCorrect,
+                topOneErrorRate: entries.length > 0 ? (entries.length - topOneCorrect) / entries.length : 0
+            };
+        } catch (error) {
+            console.error('Failed to get candidate feedback stats:', error);
+            return { total: 0, topOneCorrect: 0, topOneWrong: 0, topOneErrorRate: 0 };
+        }
+    },
+
+    // User confirmations/corrections of a scan: { imageHash, labels, correctedId, originalId }.
+    // objectMatcher learns label synonyms from these.
+    async saveRecognitionCorrection(correction) {
+        try {
+            const corrections = await this.getRecognitionCorrections();
+            const updated = [
+                { ...correction, timestamp: new Date().toISOString() },
+                ...corrections
+            ].slice(0, 200);
+            await localforage.setItem(CACHE_KEYS.RECOGNITION_CORRECTIONS, updated);
+            return updated;
+        } catch (error) {
+            console.error('Failed to save recognition correction:', error);
+            throw error;
+        }
+    },
+
+    async getRecognitionCorrections() {
+        try {
+            const corrections = await localforage.getItem(CACHE_KEYS.RECOGNITION_CORRECTIONS);
+            return corrections || [];
+        } catch (error) {
+            console.error('Failed to get recognition corrections:', error);
+            return [];
+        }
+    },
+
+    // Admin-imported label taxonomy (see taxonomyService)
+    async saveLabelTaxonomy(taxonomy) {
+        try {
+            await localforage.setItem(CACHE_KEYS.LABEL_TAXONOMY, taxonomy);
+        } catch (error) {
+            console.error('Failed to save label taxonomy:', error);
+            throw error;
+        }
+    },
+
+    async getLabelTaxonomy() {
+        try {
+            return await localforage.getItem(CACHE_KEYS.LABEL_TAXONOMY);
+        } catch (error) {
+            console.error('Failed to get label taxonomy:', error);
+            return null;
+        }
+    },
+
+    async clearLabelTaxonomy() {
+        try {
+            await localforage.removeItem(CACHE_KEYS.LABEL_TAXONOMY);
+        } catch (error) {
+            console.error('Failed to clear label taxonomy:', error);
+            throw error;
+        }
+    },
+
+    // Personal library: { items: { [objectId]: { object, savedAt, collections, note } },
+    // collections: [{ id, name, createdAt }] }. Items keep a full snapshot of the object so
+    // generated ones open offline long after the object cache and history have moved on.
+    async getLibrary() {
+        try {
+            const library = await localforage.getItem(CACHE_KEYS.LIBRARY);
+            return library || EMPTY_LIBRARY;
+        } catch (error) {
+            console.error('Failed to get library:', error);
+            return EMPTY_LIBRARY;
+        }
+    },
+
+    async updateLibrary(update) {
+        try {
+            const library = update(await this.getLibrary());
+            await localforage.setItem(CACHE_KEYS.LIBRARY, library);
+            return library;
+        } catch (error) {
+            console.error('Failed to update library:', error);
+            throw error;
+        }
+    },
+
+    async saveToLibrary(object) {
+        const library = await this.updateLibrary(current => {
+            const existing = current.items[object.id];
+            const snapshot = { ...object };
+            delete snapshot.timestamp;
+            delete snapshot.cachedAt;
+            return {
+                ...current,
+                items: {
+                    ...current.items,
+                    [object.id]: {
+                        collections: [],
+                        note: '',
+                        ...existing,
+                        object: snapshot,
+                        savedAt: existing?.savedAt || new Date().toISOString()
+                    }
+                }
+            };
+        });
+        await this.cacheLibraryImages(object);
+        return library;
+    },
+
+    async removeFromLibrary(objectId) {
+        return this.updateLibrary(current => {
+            const items = { ...current.items };
+            delete items[objectId];
+            return { ...current, items };
+        });
+    },
+
+    async saveLibraryNote(objectId, note) {
+        return this.updateLibrary(current => {
+            if (!current.items[objectId]) return current;
+            return {
+                ...current,
+                items: { ...current.items, [objectId]: { ...current.items[objectId], note } }
+            };
+        });
+    },
+
+    async setLibraryItemCollections(objectId, collectionIds) {
+        return this.updateLibrary(current => {
+            if (!current.items[objectId]) return current;
+            return {
+                ...current,
+                items: { ...current.items, [objectId]: { ...current.items[objectId], collections: collectionIds } }
+            };
+        });
+    },
+
+    async createCollection(name) {
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Collection name is required');
+
+        return this.updateLibrary(current => {
+            if (current.collections.some(collection => collection.name.toLowerCase() === trimmed.toLowerCase())) {
+                throw new Error(`There is already a collection called "${trimmed}"`);
+            }
+            return {
+                ...current,
+                collections: [
+                    ...current.collections,
+                    { id: `collection-${Date.now()}`, name: trimmed, createdAt: new Date().toISOString() }
+                ]
+            };
+        });
+    },
+
+    async renameCollection(collectionId, name) {
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Collection name is required');
+
+        return this.updateLibrary(current => {
+            if (current.collections.some(collection =>
+                collection.id !== collectionId && collection.name.toLowerCase() === trimmed.toLowerCase())) {
+                throw new Error(`There is already a collection called "${trimmed}"`);
+            }
+            return {
+                ...current,
+                collections: current.collections.map(collection =>
+                    collection.id === collectionId ? { ...collection, name: trimmed } : collection)
+            };
+        });
+    },
+
+    // Objects in a deleted collection stay in the library
+    async deleteCollection(collectionId) {
+        return this.updateLibrary(current => ({
+            collections: current.collections.filter(collection => collection.id !== collectionId),
+            items: Object.fromEntries(Object.entries(current.items).map(([objectId, item]) => [
+                objectId,
+                { ...item, collections: item.collections.filter(id => id !== collectionId) }
+            ]))
+        }));
+    },
+
+    // Best effort: the object is saved either way, it just shows placeholders offline
+    async cacheLibraryImages(object) {
+        if (typeof caches === 'undefined') return;
+
+        const urls = [object.image, ...(object.instructions || []).map(step => step.image)]
+            .filter(url => url && !url.startsWith('data:'));
+        if (urls.length === 0) return;
+
+        try {
+            const cache = await caches.open(LIBRARY_IMAGE_CACHE);
+            await Promise.all(urls.map(url => cache.add(url).catch(error => {
+                console.warn(`⚠️ Could not cache image for offline use: ${url}`, error);
+            })));
+        } catch (error) {
+            console.warn('⚠️ Image cache unavailable:', error);
+        }
+    },
+
+    // Photo thumbnails for history entries. The index ([{ entryId, bytes, savedAt }], newest
+    // first) tracks their size so the oldest can be evicted to stay within the quota.
+    async getThumbnailIndex() {
+        try {
+            const index = await localforage.getItem(CACHE_KEYS.THUMBNAIL_INDEX);
+            return index || [];
+        } catch (error) {
+            console.error('Failed to get thumbnail index:', error);
+            return [];
+        }
+    },
+
+    async saveThumbnail(entryId, dataUrl) {
+        try {
+            let index = (await this.getThumbnailIndex()).filter(item => item.entryId !== entryId);
+            const bytes = dataUrl.length;
+            if (bytes > THUMBNAIL_QUOTA_BYTES) return false;
+
+            let used = index.reduce((total, item) => total + item.bytes, 0);
+            while (index.length > 0 && used + bytes > THUMBNAIL_QUOTA_BYTES) {
+                const oldest = index.pop();
+                used -= oldest.bytes;
+                await localforage.removeItem(thumbnailKey(oldest.entryId));
+            }
+
+            // The browser's own storage limit can be hit before ours: free older images and retry
+            for (;;) {
+                try {
+                    await localforage.setItem(thumbnailKey(entryId), dataUrl);
+                    break;
+                } catch (error) {
+                    if (error.name !== 'QuotaExceededError' || index.length === 0) throw error;
+                    const oldest = index.pop();
+                    await localforage.removeItem(thumbnailKey(oldest.entryId));
+                }
+            }
+
+            index = [{ entryId, bytes, savedAt: new Date().toISOString() }, ...index];
+            await localforage.setItem(CACHE_KEYS.THUMBNAIL_INDEX, index);
+            return true;
+        } catch (error) {
+            console.error('Failed to save thumbnail:', error);
+            return false;
+        }
+    },
+
+    async getThumbnail(entryId) {
+        try {
+            return await localforage.getItem(thumbnailKey(entryId));
+        } catch (error) {
+            console.error('Failed to get thumbnail:', error);
+            return null;
+        }
+    },
+
+    async deleteThumbnail(entryId) {
+        try {
+            const index = await this.getThumbnailIndex();
+            if (!index.some(item => item.entryId === entryId)) return;
+
+            await localforage.removeItem(thumbnailKey(entryId));
+            await localforage.setItem(CACHE_KEYS.THUMBNAIL_INDEX, index.filter(item => item.entryId !== entryId));
+        } catch (error) {
+            console.error('Failed to delete thumbnail:', error);
+        }
+    },
+
+    // Error reports, newest first. Queued ones wait here until errorReportService can send them.
+    async getErrorReports() {
+        try {
+            const reports = await localforage.getItem(CACHE_KEYS.ERROR_REPORTS);
+            return reports || [];
+        } catch (error) {
+            console.error('Failed to get error reports:', error);
+            return [];
+        }
+    },
+
+    async saveErrorReport(report) {
+        try {
+            const reports = await this.getErrorReports();
+            let settled = 0;
+            const updated = [report, ...reports].filter(item =>
+                item.status === 'queued' || ++settled <= ERROR_REPORT_LIMIT);
+            await localforage.setItem(CACHE_KEYS.ERROR_REPORTS, updated);
+            return updated;
+        } catch (error) {
+            console.error('Failed to save error report:', error);
+            throw error;
+        }
+    },
+
+    async updateErrorReport(reportId, changes) {
+        try {
+            const reports = await this.getErrorReports();
+            const updated = reports.map(report => (report.id === reportId ? { ...report, ...changes } : report));
+            await localforage.setItem(CACHE_KEYS.ERROR_REPORTS, updated);
+            return updated;
+        } catch (error) {
+            console.error('Failed to update error report:', error);
+            throw error;
+        }
+    },
+
     async clearCache() {
         try {
             await localforage.clear();
@@ -0,0 +1,198 @@
+// Reports of wrong or missing instructions. Reports are stored in cacheService first and
+// sent to the report endpoint (server/mockReportServer.js locally) whenever we're online.
+import { cacheService } from './cacheService';
+
+const REPORT_URL = process.env.REACT_APP_ERROR_REPORT_URL || '/api/reports';
+
+// 'queued' and 'failed' are local; the rest come from the server
+export const REPORT_STATUSES = {
+    queued: { icon: '📥', label: 'Waiting to send' },
+    failed: { icon: '⚠️', label: 'Not accepted' },
+    received: { icon: '📨', label: 'Received' },
+    reviewing: { icon: '🔍', label: 'Under review' },
+    resolved: { icon: '✅', label: 'Fixed' },
+    rejected: { icon: '🚫', label: 'Closed without change' }
+};
+
+// Every part of an object a report can point at: { value, label, field: { type, ref } }
+export const getReportableFields = (object) => {
+    const fields = [{ value: 'general', label: 'Something else / the whole object', field: { type: 'general' } }];
+
+    (object.instructions || []).forEach((step, index) => {
+        fields.push({
+            value: `step-${index + 1}`,
+            label: `Step ${index + 1}: ${step.title}`,
+            field: { type: 'step', ref: index + 1 }
+        });
+    });
+    (object.criticalWarnings || []).forEach((warning, index) => {
+        fields.push({
+            value: `critical-${index}`,
+            label: `Critical warning: ${warning.title}`,
+            field: { type: 'warning', ref: `critical-${index}` }
+        });
+    });
+    (object.generalWarnings || []).forEach((warning, index) => {
+        fields.push({
+            value: `general-${index}`,
+            label: `Warning: ${warning}`,
+            field: { type: 'warning', ref: `general-${index}` }
+        });
+    });
+    if (object.ageRestrictions) {
+        fields.push({ value: 'age', label: 'Age restrictions', field: { type: 'ageRestrictions' } });
+    }
+    if (object.requiredSafetyEquipment?.length) {
+        fields.push({ value: 'equipment', label: 'Safety equipment', field: { type: 'safetyEquipment' } });
+    }
+    fields.push({ value: 'details', label: 'Difficulty, time or other details', field: { type: 'details' } });
+
+    return fields;
+};
+
+// Curated objects have no version number, so a hash of the content stands in for one: a
+// report can then be matched to the exact text the reporter saw.
+export const getObjectVersion = (object) => {
+    if (object.version) return String(object.version);
+
+    const content = { ...object };
+    delete content.timestamp;
+    delete content.cachedAt;
+    const text = JSON.stringify(content);
+
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `c${(hash >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+const toPayload = (report) => ({
+    clientId: report.id,
+    objectId: report.objectId,
+    objectVersion: report.objectVersion,
+    objectName: report.objectName,
+    field: report.field,
+    description: report.description,
+    createdAt: report.createdAt
+});
+
+let flushing = null;
+
+// Sends queued reports in order, oldest first. Stops at the first network or server error
+// and leaves the rest queued; a 4xx means the server won't ever take that report.
+const sendQueuedReports = async () => {
+    const queued = (await cacheService.getErrorReports()).filter(report => report.status === 'queued').reverse();
+
+    for (const report of queued) {
+        let response;
+        try {
+            response = await fetch(REPORT_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(toPayload(report))
+            });
+        } catch (error) {
+            console.warn('⚠️ Report endpoint unreachable, keeping reports queued:', error);
+            break;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (response.ok) {
+            await cacheService.updateErrorReport(report.id, {
+                status: body.status || 'received',
+                remoteId: body.id,
+                submittedAt: new Date().toISOString(),
+                lastError: null
+            });
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+            await cacheService.updateErrorReport(report.id, {
+                status: 'failed',
+                lastError: body.error || `Rejected (${response.status})`
+            });
+        } else {
+            await cacheService.updateErrorReport(report.id, {
+                lastError: body.error || `Server error (${response.status})`
+            });
+            break;
+        }
+    }
+
+    return cacheService.getErrorReports();
+};
+
+// Resolves to the updated report list. Concurrent calls share one run.
+export const flushErrorReports = () => {
+    if (!navigator.onLine) return cacheService.getErrorReports();
+    if (!flushing) {
+        flushing = sendQueuedReports().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+};
+
+// Queues the report and tries to send it straight away. Resolves to the stored report.
+export const submitErrorReport = async (object, fieldValue, description) => {
+    const target = getReportableFields(object).find(option => option.value === fieldValue);
+    if (!target) throw new Error('Choose what the report is about');
+    if (!description.trim()) throw new Error('Describe what is wrong');
+
+    const report = {
+        id: `report-${Date.now()}`,
+        objectId: object.id,
+        objectVersion: getObjectVersion(object),
+        objectName: object.name,
+        field: { ...target.field, label: target.label },
+        description: description.trim(),
+        createdAt: new Date().toISOString(),
+        status: 'queued',
+        remoteId: null,
+        lastError: null
+    };
+
+    await cacheService.saveErrorReport(report);
+    const reports = await flushErrorReports();
+    return reports.find(stored => stored.id === report.id) || report;
+};
+
+// Asks the server for the current status of every sent report that isn't settled yet
+export const refreshReportStatuses = async () => {
+    await flushErrorReports();
+    if (!navigator.onLine) return cacheService.getErrorReports();
+
+    const open = (await cacheService.getErrorReports())
+        .filter(report => report.remoteId && (report.status === 'received' || report.status === 'reviewing'));
+
+    for (const report of open) {
+        try {
+            const response = await fetch(`${REPORT_URL}/${encodeURIComponent(report.remoteId)}`);
+            if (!response.ok) continue;
+            const body = await response.json();
+            if (body.status && body.status !== report.status) {
+                await cacheService.updateErrorReport(report.id, {
+                    status: body.status,
+                    resolution: body.resolution || null,
+                    statusUpdatedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not refresh report status:', error);
+            break;
+        }
+    }
+
+    return cacheService.getErrorReports();
+};
+
+// Sends anything queued now and again each time the connection comes back. Returns a cleanup.
+export const startErrorReportSync = () => {
+    const handleOnline = () => {
+        flushErrorReports();
+    };
+    window.addEventListener('online', handleOnline);
+    flushErrorReports();
+    return () => window.removeEventListener('online', handleOnline);
+};
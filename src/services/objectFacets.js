@@ -0,0 +1,139 @@
+// Search facets over object fields. Values within a facet are OR'd, facets are AND'd,
+// and the selection lives in the URL query (?safety=low,medium&time=quick) so filtered
+// views can be bookmarked and shared.
+
+// "5-10 min" -> { min: 5, max: 10 }, "1-2 hours" -> { min: 60, max: 120 },
+// "1.5 hours" -> { min: 90, max: 90 }, "30 seconds" -> { min: 0.5, max: 0.5 }, in minutes
+const UNIT_FACTORS = { h: 60, m: 1, s: 1 / 60 };
+
+export const parseTimeEstimate = (estimate) => {
+    // The unit must end at a word boundary, so "5 small steps" is 5 minutes, not seconds
+    const match = String(estimate || '').match(
+        /(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(?:(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b)?/i
+    );
+    if (!match) return null;
+
+    const factor = match[3] ? UNIT_FACTORS[match[3][0].toLowerCase()] : 1;
+    const min = Number(match[1]) * factor;
+    const max = Number(match[2] || match[1]) * factor;
+    return { min, max };
+};
+
+const minimumAge = (obj) => parseInt(obj.ageRestrictions?.minimumAge, 10) || 0;
+
+// Ages an object is suitable for, given its minimum age
+const SUITABLE_AGES = [8, 12, 16, 18];
+
+export const OBJECT_FACETS = [
+    {
+        id: 'safety',
+        label: 'Safety Level',
+        values: [
+            { value: 'low', label: 'Low' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'high', label: 'High' },
+            { value: 'critical', label: 'Critical' }
+        ],
+        get: obj => obj.safetyLevel || 'medium'
+    },
+    {
+        id: 'difficulty',
+        label: 'Difficulty',
+        values: [
+            { value: 'beginner', label: 'Beginner' },
+            { value: 'intermediate', label: 'Intermediate' },
+            { value: 'advanced', label: 'Advanced' }
+        ],
+        get: obj => (obj.difficulty || '').toLowerCase()
+    },
+    {
+        id: 'time',
+        label: 'Time',
+        values: [
+            { value: 'quick', label: 'Up to 10 min' },
+            { value: 'medium', label: '10–30 min' },
+            { value: 'long', label: 'Over 30 min' }
+        ],
+        get: obj => {
+            const time = parseTimeEstimate(obj.timeEstimate);
+            if (!time) return null;
+            return time.max <= 10 ? 'quick' : time.max <= 30 ? 'medium' : 'long';
+        }
+    },
+    {
+        id: 'age',
+        label: 'Suitable For',
+        values: [
+            { value: '8', label: 'Age 8+' },
+            { value: '12', label: 'Age 12+' },
+            { value: '16', label: 'Age 16+' },
+            { value: '18', label: 'Adults' }
+        ],
+        get: obj => SUITABLE_AGES.filter(age => minimumAge(obj) <= age).map(String)
+    },
+    {
+        id: 'equipment',
+        label: 'Safety Equipment',
+        values: [
+            { value: 'required', label: 'Required' },
+            { value: 'none', label: 'None required' }
+        ],
+        get: obj => ((obj.requiredSafetyEquipment || []).some(item => item.required) ? 'required' : 'none')
+    }
+];
+
+const facetValues = (facet, obj) => [].concat(facet.get(obj)).filter(Boolean);
+
+// { [facetId]: [values] } from URLSearchParams, ignoring unknown values
+export const parseFacetFilters = (searchParams) => {
+    const filters = {};
+    OBJECT_FACETS.forEach(facet => {
+        const known = facet.values.map(option => option.value);
+        const selected = (searchParams.get(facet.id) || '')
+            .split(',')
+            .filter(value => known.includes(value));
+        if (selected.length > 0) filters[facet.id] = selected;
+    });
+    return filters;
+};
+
+// Writes `filters` into a copy of `searchParams`
+export const applyFacetFilters = (searchParams, filters) => {
+    const next = new URLSearchParams(searchParams);
+    OBJECT_FACETS.forEach(facet => {
+        const selected = filters[facet.id] || [];
+        if (selected.length > 0) {
+            next.set(facet.id, selected.join(','));
+        } else {
+            next.delete(facet.id);
+        }
+    });
+    return next;
+};
+
+export const hasFacetFilters = (filters) => Object.keys(filters).length > 0;
+
+// `exceptFacet` leaves one facet out, which is how its own counts are computed
+export const matchesFacetFilters = (obj, filters, exceptFacet = null) =>
+    OBJECT_FACETS.every(facet => {
+        const selected = filters[facet.id];
+        if (!selected || facet.id === exceptFacet) return true;
+        return facetValues(facet, obj).some(value => selected.includes(value));
+    });
+
+// { [facetId]: { [value]: count } }: how many objects each value would show given the
+// other facets' current selection
+export const countFacetValues = (objects, filters) => {
+    const counts = {};
+    OBJECT_FACETS.forEach(facet => {
+        counts[facet.id] = Object.fromEntries(facet.values.map(option => [option.value, 0]));
+        objects
+            .filter(obj => matchesFacetFilters(obj, filters, facet.id))
+            .forEach(obj => {
+                facetValues(facet, obj).forEach(value => {
+                    if (value in counts[facet.id]) counts[facet.id][value] += 1;
+                });
+            });
+    });
+    return counts;
+};
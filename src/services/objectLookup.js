@@ -0,0 +1,30 @@
+// Finds an object by id for /object/:id links, refreshes and shared URLs
+import { objectDatabase } from '../data/objectDatabase';
+import { cacheService } from './cacheService';
+
+// History entries carry the scan's `timestamp` and `identification` alongside the object
+export const objectFromHistoryEntry = (entry) => {
+    const object = { ...entry };
+    delete object.timestamp;
+    delete object.identification;
+    return object;
+};
+
+export const isCuratedObject = (objectId) => objectDatabase.some(obj => obj.id === objectId);
+
+// The curated database first, then the user's library, then details cached for generated
+// (vision-…) objects, then the identification history, which outlives the 24h object cache
+export const findObjectById = async (objectId) => {
+    const curated = objectDatabase.find(obj => obj.id === objectId);
+    if (curated) return curated;
+
+    const library = await cacheService.getLibrary();
+    if (library.items[objectId]) return library.items[objectId].object;
+
+    const cached = await cacheService.getCachedObjectDetails(objectId);
+    if (cached) return cached;
+
+    const history = await cacheService.getIdentificationHistory();
+    const entry = history.find(item => item.id === objectId);
+    return entry ? objectFromHistoryEntry(entry) : null;
+};
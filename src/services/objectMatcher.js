@@ -0,0 +1,168 @@
+// Scores recognition labels against the curated object database
+import { objectDatabase } from '../data/objectDatabase';
+import { hammingDistance } from '../utils/imageHash';
+import { getTaxonomyEntries } from './taxonomyService';
+
+const MIN_DETECTION_CONFIDENCE = 0.3; // Ignore detections below this score
+const MIN_CANDIDATE_SCORE = 0.2;      // Objects scoring below this are not candidates at all
+
+export const MIN_MATCH_SCORE = 0.4;           // Top candidate must reach this to count as a match
+export const AUTO_ACCEPT_CONFIDENCE = 70;     // Confident enough to skip the "Did you mean…" chooser
+export const AMBIGUOUS_SCORE_RATIO = 0.85;    // Runner-up scoring this close to the top is ambiguous
+
+const LEARNED_SYNONYM_WEIGHT = 0.8;   // Per net vote for a label the user has tied to an object
+const MAX_LEARNED_VOTES = 3;          // Cap so a handful of corrections can't swamp everything else
+const LEARNED_IMAGE_BONUS = 1.0;      // Re-scan of a photo the user already corrected
+const LEARNED_HASH_DISTANCE = 6;      // Max dHash distance to count as the same photo
+
+// Local confirmations/corrections from cacheService: [{ imageHash, labels, correctedId, originalId }]
+let learnedCorrections = [];
+
+export const setLearnedCorrections = (corrections) => {
+    learnedCorrections = (corrections || []).filter(correction => correction.correctedId);
+};
+
+// Whole-word containment: "cell phone" contains "phone", but "potted plant" doesn't contain "pot"
+const wordsOf = (text) => ` ${text.replace(/[^a-z0-9]+/g, ' ').trim()} `;
+const containsWords = (text, phrase) => wordsOf(text).includes(wordsOf(phrase));
+
+const scoreObject = (obj, label, confidence) => {
+    let matchScore = 0;
+    const objName = obj.name.toLowerCase();
+    const objTags = obj.tags.map(tag => tag.toLowerCase());
+    const objCategory = obj.category.toLowerCase();
+
+    // Exact name match (highest priority)
+    if (objName === label) {
+        matchScore += 1.0 * confidence;
+    }
+    // Partial name match (medium-high priority)
+    else if (objName.includes(label) || label.includes(objName)) {
+        // But exclude very short matches to avoid false positives
+        if (label.length > 3 && objName.length > 3) {
+            matchScore += 0.7 * confidence;
+        }
+    }
+
+    // Exact tag match (high priority)
+    objTags.forEach(tag => {
+        if (tag === label) {
+            matchScore += 0.9 * confidence;
+        }
+        // Partial tag match (medium priority)
+        else if ((tag.includes(label) || label.includes(tag)) &&
+                 label.length > 3 && tag.length > 3) {
+            matchScore += 0.5 * confidence;
+        }
+    });
+
+    // Category match (lower priority)
+    if (objCategory.includes(label) || label.includes(objCategory)) {
+        matchScore += 0.3 * confidence;
+    }
+
+    // Taxonomy synonyms catch common mismatches ("cell phone" → smartphone)
+    getTaxonomyEntries().forEach(entry => {
+        const synonyms = entry.synonyms || [];
+        if (synonyms.some(synonym =>
+            containsWords(label, synonym) || containsWords(synonym, label)
+        )) {
+            if (obj.id === entry.objectId || objName.includes(entry.label) || objTags.includes(entry.label)) {
+                matchScore += 0.6 * confidence;
+            }
+        }
+    });
+
+    matchScore += learnedSynonymScore(obj, label, confidence);
+
+    return matchScore;
+};
+
+// Labels seen when the user confirmed or corrected a scan act as synonyms for that object,
+// and count against the object the user said it wasn't. One correction brings the right object
+// into the candidates ("Did you mean…"); repeated ones make it win outright.
+const learnedSynonymScore = (obj, label, confidence) => {
+    let votes = 0;
+    learnedCorrections.forEach(correction => {
+        if (!correction.labels.includes(label)) return;
+        if (correction.correctedId === obj.id) votes += 1;
+        else if (correction.originalId === obj.id) votes -= 1;
+    });
+
+    const capped = Math.max(-MAX_LEARNED_VOTES, Math.min(MAX_LEARNED_VOTES, votes));
+    return LEARNED_SYNONYM_WEIGHT * confidence * capped;
+};
+
+const learnedImageMatch = (imageHash) => {
+    if (!imageHash) return null;
+    return learnedCorrections.find(correction =>
+        correction.imageHash && hammingDistance(imageHash, correction.imageHash) <= LEARNED_HASH_DISTANCE
+    ) || null;
+};
+
+// Returns up to `limit` candidates, best first:
+//   [{ object, confidence, detectedAs, matchScore }]
+// `detectedAs` is the label that produced the candidate's best score.
+// `imageHash` (optional) lets a re-scan of a corrected photo resolve to the user's choice.
+export const matchToDatabase = (detections, { limit = 5, quiet = false, imageHash = null } = {}) => {
+    if (!quiet) {
+        console.log('Matching detections:', detections.map(d => ({
+            label: d.description || d.name,
+            confidence: d.score
+        })));
+    }
+
+    const bestByObject = new Map();
+
+    detections.forEach(detection => {
+        const label = (detection.description || detection.name || '').toLowerCase();
+        const confidence = detection.score || 0;
+
+        // Skip low confidence detections
+        if (!label || confidence < MIN_DETECTION_CONFIDENCE) return;
+
+        objectDatabase.forEach(obj => {
+            const matchScore = scoreObject(obj, label, confidence);
+            const current = bestByObject.get(obj.id);
+
+            if (matchScore > MIN_CANDIDATE_SCORE && (!current || matchScore > current.matchScore)) {
+                bestByObject.set(obj.id, { object: obj, detectedAs: label, matchScore });
+            }
+        });
+    });
+
+    const learned = learnedImageMatch(imageHash);
+    const learnedObject = learned && objectDatabase.find(obj => obj.id === learned.correctedId);
+    if (learnedObject) {
+        const current = bestByObject.get(learnedObject.id);
+        bestByObject.set(learnedObject.id, {
+            object: learnedObject,
+            detectedAs: current ? current.detectedAs : 'your earlier correction',
+            matchScore: (current ? current.matchScore : 0) + LEARNED_IMAGE_BONUS
+        });
+    }
+
+    const candidates = [...bestByObject.values()]
+        .sort((a, b) => b.matchScore - a.matchScore)
+        .slice(0, limit)
+        .map(candidate => ({
+            ...candidate,
+            confidence: Math.min(Math.round(candidate.matchScore * 100), 95),
+            matchScore: Number(candidate.matchScore.toFixed(2))
+        }));
+
+    if (!quiet) {
+        console.log('Ranked candidates:', candidates.map(c => `${c.object.name} (${c.confidence}% via "${c.detectedAs}")`));
+    }
+    return candidates;
+};
+
+// True when the top candidate should be confirmed by the user before being used
+export const needsCandidateConfirmation = (candidates) => {
+    if (candidates.length === 0) return false;
+
+    const [top, runnerUp] = candidates;
+    // Compare raw scores: displayed confidence is capped, so two strong matches would always look equal
+    const isClose = runnerUp && runnerUp.matchScore >= top.matchScore * AMBIGUOUS_SCORE_RATIO;
+    return top.confidence < AUTO_ACCEPT_CONFIDENCE || !!isClose;
+};
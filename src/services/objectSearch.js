@@ -0,0 +1,83 @@
+// Ranked, typo-tolerant search over the curated object database, shared by the search
+// page and ObjectContext.searchObjects
+import { objectDatabase } from '../data/objectDatabase';
+import { createSearchIndex, DEFAULT_SEARCH_FIELDS } from '../utils/searchIndex';
+
+// Deeper content is weighted below the object's own name/tags/category. Refs become the
+// query string of the deep link (see getResultLink), e.g. { step: 2 } -> ?step=2.
+const OBJECT_SEARCH_FIELDS = [
+    ...DEFAULT_SEARCH_FIELDS,
+    {
+        name: 'instructions',
+        weight: 2,
+        get: obj => (obj.instructions || []).flatMap((step, index) =>
+            [step.title, step.description, ...(step.substeps || []), ...(step.tips || [])]
+                .filter(Boolean)
+                .map(text => ({ text, ref: { step: index + 1 } })))
+    },
+    {
+        name: 'warnings',
+        weight: 2,
+        get: obj => [
+            ...(obj.criticalWarnings || []).map((warning, index) => ({
+                text: `${warning.title} ${warning.description || ''}`,
+                ref: { warning: `critical-${index}` }
+            })),
+            ...(obj.generalWarnings || []).map((warning, index) => ({
+                text: typeof warning === 'string' ? warning : `${warning.title || ''} ${warning.description || ''}`,
+                ref: { warning: `general-${index}` }
+            })),
+            // Cautions inside a step open that step
+            ...(obj.instructions || []).flatMap((step, index) =>
+                (step.warnings || []).map(text => ({ text, ref: { step: index + 1 } })))
+        ]
+    },
+    {
+        name: 'commonUses',
+        weight: 2,
+        get: obj => (obj.commonUses || []).map(text => ({ text, ref: { section: 'uses' } }))
+    },
+    {
+        name: 'maintenance',
+        weight: 2,
+        get: obj => (obj.maintenance || []).map(text => ({ text, ref: { section: 'maintenance' } }))
+    }
+];
+
+let index = null;
+
+const getIndex = () => {
+    if (!index) {
+        index = createSearchIndex(objectDatabase, { fields: OBJECT_SEARCH_FIELDS });
+    }
+    return index;
+};
+
+// Returns [{ item, score, matches, terms, location }]; `category` 'all' or unset searches everything
+export const searchObjectDatabase = (query, { category, limit } = {}) => {
+    const filter = category && category !== 'all'
+        ? obj => obj.category.toLowerCase() === category.toLowerCase()
+        : undefined;
+    return getIndex().search(query, { limit, filter });
+};
+
+// Every object (in `category`), shaped like search results, for browsing without a query
+export const browseObjectDatabase = ({ category } = {}) =>
+    objectDatabase
+        .filter(obj => !category || category === 'all' || obj.category.toLowerCase() === category.toLowerCase())
+        .map(obj => ({ item: obj, score: 0, matches: {}, terms: [], location: null }));
+
+// Object page deep-linked to the step, warning or section of a result's `location`
+export const getResultLink = (objectId, location) => {
+    const path = `/object/${objectId}`;
+    return location ? `${path}?${new URLSearchParams(location.ref)}` : path;
+};
+
+// Short label for where a deep link points, e.g. "Step 2" or "Safety warning"
+export const describeLocation = (location) => {
+    if (location.ref.step) return `Step ${location.ref.step}`;
+    if (location.ref.warning) return 'Safety warning';
+    if (location.ref.section === 'uses') return 'Common uses';
+    if (location.ref.section === 'maintenance') return 'Maintenance';
+    return '';
+};
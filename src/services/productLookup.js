@@ -0,0 +1,55 @@
+// Looks up exact products in the local product index, by printed code or by model number
+import { objectDatabase } from '../data/objectDatabase';
+import { productIndex } from '../data/productIndex';
+
+// UPC-A is EAN-13 with a leading zero
+const normalizeCode = (code) => {
+    const trimmed = code.trim();
+    return /^\d{12}$/.test(trimmed) ? `0${trimmed}` : trimmed;
+};
+
+// "VX 18D", "vx-18d" and "VX18D" are the same model
+const normalizeModel = (model) => model.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const findProductByCode = (code) => {
+    const normalized = normalizeCode(code);
+    return productIndex.find(product =>
+        product.codes.some(productCode => normalizeCode(productCode) === normalized)
+    ) || null;
+};
+
+export const findProductByModel = (model) => {
+    const normalized = normalizeModel(model);
+    if (!normalized) return null;
+    return productIndex.find(product => normalizeModel(product.model) === normalized) || null;
+};
+
+// The database object with the product's model-specific details merged in. The product gets
+// its own id so it is cached, shared and saved as itself rather than resolving back to the
+// generic entry; `baseObjectId` points at that entry for its tips and learned labels.
+export const toProductObject = (product) => {
+    const object = objectDatabase.find(obj => obj.id === product.objectId);
+    if (!object) {
+        console.warn('Product index references unknown object:', product.objectId);
+        return null;
+    }
+
+    return {
+        ...object,
+        id: `${object.id}:${normalizeCode(product.codes[0])}`,
+        baseObjectId: object.id,
+        name: product.productName || object.name,
+        brand: product.brand,
+        model: product.model,
+        specs: product.specs
+    };
+};
+
+// The product object behind an id made by toProductObject ("drill-001:2000001000014"), or null
+export const findProductObjectById = (objectId) => {
+    const separator = objectId.indexOf(':');
+    if (separator < 0) return null;
+
+    const product = findProductByCode(objectId.slice(separator + 1));
+    return product && product.objectId === objectId.slice(0, separator) ? toProductObject(product) : null;
+};
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import { barcodeProvider, objectIdFromLink } from '../barcodeProvider';
+import { scanBarcodes } from '../../../utils/barcodeScanner';
+
+jest.mock('../../../utils/barcodeScanner', () => ({
+    scanBarcodes: jest.fn()
+}));
+
+describe('objectIdFromLink', () => {
+    it.each([
+        ['https://objectwise.app/object/drill-001', 'drill-001'],
+        ['https://objectwise.app/object/drill-001/', 'drill-001'],
+        ['https://objectwise.app/object/drill-001?step=2', 'drill-001'],
+        ['https://objectwise.app/object/drill-001#shared=zabc', 'drill-001'],
+        ['/object/drill-001:2000001000014', 'drill-001:2000001000014'],
+        ['https://objectwise.app/object/drill-001%3A2000001000014?section=safety', 'drill-001:2000001000014']
+    ])('reads the id from %j', (link, id) => {
+        expect(objectIdFromLink(link)).toBe(id);
+    });
+
+    it.each([
+        ['a product code', '2000001000014'],
+        ['another path', 'https://objectwise.app/search?q=drill'],
+        ['a nested path', 'https://objectwise.app/object/drill-001/steps'],
+        ['broken percent-encoding', 'https://objectwise.app/object/drill-001%3']
+    ])('returns null for %s', (_, value) => {
+        expect(objectIdFromLink(value)).toBeNull();
+    });
+});
+
+describe('barcodeProvider.recognize', () => {
+    const recognize = (...rawValues) => {
+        scanBarcodes.mockResolvedValue(rawValues.map(rawValue => ({ format: 'qr_code', rawValue })));
+        return barcodeProvider.recognize('data:image/png;base64,AAAA');
+    };
+
+    it('identifies a product from its printed code', async () => {
+        const { match } = await recognize('2000001000014');
+        expect(match).toMatchObject({
+            object: { id: 'drill-001:2000001000014', baseObjectId: 'drill-001', barcode: '2000001000014' },
+            confidence: 100,
+            source: 'barcode'
+        });
+    });
+
+    it('opens the object a QR link points at', async () => {
+        const { match } = await recognize('https://objectwise.app/object/screwdriver-001?step=1');
+        expect(match.object.id).toBe('screwdriver-001');
+    });
+
+    it('opens the product a shared product link points at', async () => {
+        const { match } = await recognize('https://objectwise.app/object/drill-001%3A2000001000021');
+        expect(match.object).toMatchObject({ id: 'drill-001:2000001000021', model: 'VX-12C' });
+    });
+
+    it('skips codes it does not know and falls through when none match', async () => {
+        expect((await recognize('4006381333931', '2000002000013')).match.object.baseObjectId).toBe('coffee-maker-001');
+        expect(await recognize('4006381333931', 'https://example.com/object/unknown-001')).toBeNull();
+    });
+});
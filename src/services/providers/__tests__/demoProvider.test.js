@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { demoFixtures, maxHashDistance } from '../../../data/demoFixtures';
+import { computeImageHash, hashPixels, hammingDistance, HASH_WIDTH, HASH_HEIGHT } from '../../../utils/imageHash';
+import { demoProvider } from '../demoProvider';
+
+// No canvas under Node: the provider gets the hash computed here from the fixture file
+jest.mock('../../../utils/imageHash', () => ({
+    ...jest.requireActual('../../../utils/imageHash'),
+    computeImageHash: jest.fn()
+}));
+
+const PUBLIC_DIR = path.resolve(__dirname, '../../../../public');
+
+// Just enough PNG to read the fixtures: 8-bit RGB, unfiltered rows
+const readPng = (file) => {
+    const buffer = fs.readFileSync(file);
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    expect([buffer[24], buffer[25]]).toEqual([8, 2]);
+
+    const idat = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        if (type === 'IDAT') idat.push(buffer.subarray(offset + 8, offset + 8 + length));
+        offset += length + 12;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * 3 + 1;
+    const filters = new Set(Array.from({ length: height }, (_, y) => raw[y * stride]));
+    expect([...filters]).toEqual([0]);
+
+    const pixel = (x, y) => {
+        const index = y * stride + 1 + x * 3;
+        return [raw[index], raw[index + 1], raw[index + 2]];
+    };
+    return { width, height, pixel };
+};
+
+// Box-filters the image down to the hash size, like drawImage onto the 9x8 canvas
+const hashPng = (file) => {
+    const { width, height, pixel } = readPng(file);
+    const cellWidth = width / HASH_WIDTH;
+    const cellHeight = height / HASH_HEIGHT;
+    const data = [];
+
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let col = 0; col < HASH_WIDTH; col++) {
+            const sum = [0, 0, 0];
+            let count = 0;
+            for (let y = Math.floor(row * cellHeight); y < Math.floor((row + 1) * cellHeight); y++) {
+                for (let x = Math.floor(col * cellWidth); x < Math.floor((col + 1) * cellWidth); x++) {
+                    pixel(x, y).forEach((value, channel) => {
+                        sum[channel] += value;
+                    });
+                    count++;
+                }
+            }
+            data.push(...sum.map(value => value / count), 255);
+        }
+    }
+    return hashPixels(data);
+};
+
+describe('demo fixtures', () => {
+    it.each(demoFixtures.map(fixture => [fixture.objectId, fixture]))(
+        '%s: the fixture image hashes to its stored hash',
+        (objectId, fixture) => {
+            expect(fixture.hashes).toContain(hashPng(path.join(PUBLIC_DIR, fixture.image)));
+        }
+    );
+
+    it.each(demoFixtures.map(fixture => [fixture.objectId, fixture]))(
+        '%s: a capture of the fixture image resolves to its object',
+        async (objectId, fixture) => {
+            computeImageHash.mockResolvedValue(hashPng(path.join(PUBLIC_DIR, fixture.image)));
+
+            const result = await demoProvider.recognize('data:image/png;base64,');
+            expect(result.match.object.id).toBe(objectId);
+            expect(result.match.source).toBe('demo');
+        }
+    );
+
+    it('keeps fixture hashes far enough apart that near matches are unambiguous', () => {
+        const hashes = demoFixtures.flatMap(fixture => fixture.hashes.map(hash => [fixture.objectId, hash]));
+        hashes.forEach(([idA, hashA], i) => {
+            hashes.slice(i + 1).forEach(([idB, hashB]) => {
+                if (idA !== idB) expect(hammingDistance(hashA, hashB)).toBeGreaterThan(2 * maxHashDistance);
+            });
+        });
+    });
+});
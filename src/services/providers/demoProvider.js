@@ -0,0 +1,83 @@
+// Demo provider: deterministic recognition of known fixture images, used when demo mode is enabled
+import { objectDatabase } from '../../data/objectDatabase';
+import { demoFixtures, maxHashDistance } from '../../data/demoFixtures';
+import { computeImageHash, hammingDistance } from '../../utils/imageHash';
+
+const normalizeFileName = (fileName) => {
+    return fileName
+        .toLowerCase()
+        .replace(/\.[a-z0-9]+$/, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+const matchByFileName = (fileName) => {
+    const normalized = normalizeFileName(fileName);
+    const candidates = demoFixtures
+        .flatMap(fixture => fixture.fileNames.map(name => ({ name, fixture })))
+        .sort((a, b) => b.name.length - a.name.length);
+
+    // Exact name first, then the longest fixture name contained as whole words ("my-drill-photo")
+    const exact = candidates.find(candidate => candidate.name === normalized);
+    if (exact) return exact.fixture;
+
+    const contained = candidates.find(candidate => `-${normalized}-`.includes(`-${candidate.name}-`));
+    return contained ? contained.fixture : null;
+};
+
+const matchByHash = (hash) => {
+    let bestFixture = null;
+    let bestDistance = Infinity;
+
+    demoFixtures.forEach(fixture => {
+        fixture.hashes.forEach(fixtureHash => {
+            const distance = hammingDistance(hash, fixtureHash);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestFixture = fixture;
+            }
+        });
+    });
+
+    return bestDistance <= maxHashDistance ? { fixture: bestFixture, distance: bestDistance } : null;
+};
+
+const toMatch = (fixture, confidence, message) => {
+    const object = objectDatabase.find(obj => obj.id === fixture.objectId);
+    if (!object) {
+        console.warn('Demo fixture references unknown object:', fixture.objectId);
+        return null;
+    }
+
+    return { object, confidence, message, source: 'demo' };
+};
+
+export const demoProvider = {
+    name: 'demo',
+
+    isAvailable() {
+        return true;
+    },
+
+    async recognize(imageData, { fileName } = {}) {
+        if (fileName) {
+            const fixture = matchByFileName(fileName);
+            if (fixture) {
+                const match = toMatch(fixture, 90, `Demo mode: Matched fixture file "${fileName}"`);
+                if (match) return { labels: [], objects: [], match };
+            }
+        }
+
+        const hash = await computeImageHash(imageData);
+        const hashMatch = matchByHash(hash);
+        if (hashMatch) {
+            const confidence = Math.round(100 - (hashMatch.distance / 64) * 100);
+            const match = toMatch(hashMatch.fixture, confidence, 'Demo mode: Matched fixture image');
+            if (match) return { labels: [], objects: [], match };
+        }
+
+        // Logged so a new fixture photo's hash can be copied into demoFixtures.js
+        console.log('🎮 Demo fixture hash:', hash);
+        return null; // No match
+    }
+};
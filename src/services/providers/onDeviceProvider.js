@@ -0,0 +1,77 @@
+// On-device provider: MobileNet image classifier running in the browser with TensorFlow.js.
+// The runtime and model are loaded lazily on first use; the service worker caches the
+// model files so recognition keeps working offline.
+import { loadImage } from '../../utils/imageCanvas';
+
+const MODEL_URL = process.env.REACT_APP_ON_DEVICE_MODEL_URL;
+
+let modelPromise = null;
+
+const selectBackend = async (tf) => {
+    await import('@tensorflow/tfjs-backend-cpu');
+    await import('@tensorflow/tfjs-backend-webgl');
+
+    // Prefer WebGL, fall back to plain CPU where WebGL is unavailable
+    const webglReady = await tf.setBackend('webgl').catch(() => false);
+    if (!webglReady) {
+        await tf.setBackend('cpu');
+    }
+    await tf.ready();
+};
+
+const loadModel = () => {
+    if (!modelPromise) {
+        modelPromise = (async () => {
+            const tf = await import('@tensorflow/tfjs-core');
+            await selectBackend(tf);
+
+            const mobilenet = await import('@tensorflow-models/mobilenet');
+            const config = MODEL_URL
+                ? { version: 2, alpha: 1.0, modelUrl: MODEL_URL }
+                : { version: 2, alpha: 1.0 };
+            return mobilenet.load(config);
+        })().catch(error => {
+            // Allow a later retry, e.g. once the device is back online
+            modelPromise = null;
+            throw error;
+        });
+    }
+    return modelPromise;
+};
+
+// ImageNet class names come as comma-separated synonyms ("cellular telephone, cellular phone, ...")
+const toLabels = (predictions) => {
+    return predictions.flatMap(prediction =>
+        prediction.className.split(',').map(name => ({
+            description: name.trim(),
+            score: prediction.probability
+        }))
+    );
+};
+
+export const preloadOnDeviceModel = () => loadModel();
+
+export const onDeviceProvider = {
+    name: 'on-device',
+    // MobileNet classifies at 224x224 anyway
+    maxImageDimension: 448,
+
+    isAvailable() {
+        return typeof document !== 'undefined';
+    },
+
+    // Accepts a data URL or an already drawn image source (canvas, video) for live frames
+    async recognize(imageData) {
+        const [model, image] = await Promise.all([
+            loadModel(),
+            typeof imageData === 'string' ? loadImage(imageData) : imageData
+        ]);
+        const predictions = await model.classify(image, 5);
+        if (predictions.length === 0) return null;
+
+        return {
+            labels: toLabels(predictions),
+            objects: []
+        };
+    }
+};
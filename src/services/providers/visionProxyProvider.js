@@ -0,0 +1,34 @@
+// Cloud recognition through the ObjectWise proxy (server/visionProxy.js), which holds the
+// Google Vision API key and returns already-normalized labels and objects
+const PROXY_URL = process.env.REACT_APP_VISION_PROXY_URL || '/api/recognize';
+
+export const visionProxyProvider = {
+    name: 'vision-proxy',
+    // Larger images don't improve Vision labels, they only cost upload time
+    maxImageDimension: 1024,
+
+    isAvailable() {
+        return navigator.onLine;
+    },
+
+    async recognize(imageData) {
+        console.log('📤 Calling recognition proxy...');
+
+        const response = await fetch(PROXY_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ image: imageData })
+        });
+
+        console.log('📥 Proxy response status:', response.status);
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Recognition proxy failed: ${response.status} - ${body.error || response.statusText}`);
+        }
+
+        return response.json();
+    }
+};
@@ -0,0 +1,128 @@
+// Registry of recognition providers and the ordered fallback chain used by ObjectContext.
+//
+// A provider is a plain object:
+//   {
+//       name: 'vision-proxy',
+//       maxImageDimension: 1024,                          // optional, images are downsized and exposure-normalized to fit
+//       isAvailable: () => boolean | Promise<boolean>,
+//       recognize: async (imageData, options) => ({     // options: capture metadata, e.g. { fileName }
+//           labels:  [{ description, score }],
+//           objects: [{ name, score, boundingBox: { x, y, width, height } }],  // box in 0-1 image coords
+//           match:   { object, confidence, message },                         // optional, provider resolved the object itself
+//           text:    'VOLTIX VX-18D ...'                                       // optional, text read from the image (OCR)
+//       }) | null
+//   }
+
+const providers = new Map();
+let providerChain = [];
+
+export const registerRecognitionProvider = (provider) => {
+    if (!provider || !provider.name) {
+        throw new Error('Recognition provider must have a name');
+    }
+    if (typeof provider.isAvailable !== 'function' || typeof provider.recognize !== 'function') {
+        throw new Error(`Recognition provider "${provider.name}" must implement isAvailable() and recognize()`);
+    }
+
+    providers.set(provider.name, provider);
+    return provider;
+};
+
+export const unregisterRecognitionProvider = (name) => {
+    providers.delete(name);
+    providerChain = providerChain.filter(providerName => providerName !== name);
+};
+
+export const getRecognitionProvider = (name) => providers.get(name) || null;
+
+export const setRecognitionProviderChain = (names) => {
+    const unknown = names.filter(name => !providers.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown recognition provider(s): ${unknown.join(', ')}`);
+    }
+    providerChain = [...names];
+};
+
+export const getRecognitionProviderChain = () => {
+    return providerChain
+        .map(name => providers.get(name))
+        .filter(Boolean);
+};
+
+export const configureRecognition = ({ providers: providerList = [], chain }) => {
+    providerList.forEach(registerRecognitionProvider);
+    setRecognitionProviderChain(chain || providerList.map(provider => provider.name));
+};
+
+export const normalizeRecognitionResult = (result) => {
+    if (!result) return null;
+
+    return {
+        labels: (result.labels || []).map(label => ({
+            description: label.description || label.name || '',
+            score: label.score || 0
+        })),
+        objects: (result.objects || []).map(object => ({
+            name: object.name || object.description || '',
+            score: object.score || 0,
+            boundingBox: object.boundingBox || null
+        })),
+        match: result.match || null,
+        text: result.text || ''
+    };
+};
+
+// Combines normalized results from several shots of the same object (multi-angle capture).
+// Each label's fused score is its mean across all shots, counting 0 where it was not seen,
+// so labels that show up consistently from every angle outrank one-off guesses.
+// Bounding boxes are dropped since they refer to different images.
+export const fuseRecognitionResults = (results, shotCount = results.length) => {
+    // One shot has nothing to fuse and keeps its boxes
+    if (shotCount === 1 && results.length === 1) return results[0];
+
+    const fuse = (entries, key) => {
+        const fused = new Map();
+        entries.forEach(entry => {
+            const id = entry[key].toLowerCase();
+            const current = fused.get(id) || { [key]: entry[key], total: 0, seenIn: 0 };
+            current.total += entry.score;
+            current.seenIn += 1;
+            fused.set(id, current);
+        });
+
+        return [...fused.values()]
+            .map(({ total, ...rest }) => ({ ...rest, score: total / shotCount }))
+            .sort((a, b) => b.score - a.score);
+    };
+
+    const labels = fuse(results.flatMap(result => dedupeBy(result.labels, 'description')), 'description');
+    const objects = fuse(results.flatMap(result => dedupeBy(result.objects, 'name')), 'name')
+        .map(object => ({ ...object, boundingBox: null }));
+
+    // Providers that resolve objects directly: majority vote, then highest confidence
+    const matches = results.map(result => result.match).filter(match => match && match.object);
+    const votes = matches.reduce((counts, match) => {
+        counts[match.object.id] = (counts[match.object.id] || 0) + 1;
+        return counts;
+    }, {});
+    const match = matches.sort((a, b) =>
+        (votes[b.object.id] - votes[a.object.id]) || (b.confidence - a.confidence)
+    )[0] || null;
+
+    // Different angles show different parts of a label; keep every distinct text block
+    const text = [...new Set(results.map(result => result.text).filter(Boolean))].join('\n');
+
+    return { labels, objects, match, text };
+};
+
+// Keep only the best-scoring entry per name within a single shot
+const dedupeBy = (entries, key) => {
+    const best = new Map();
+    entries.forEach(entry => {
+        const id = entry[key].toLowerCase();
+        if (!best.has(id) || best.get(id).score < entry.score) {
+            best.set(id, entry);
+        }
+    });
+    return [...best.values()];
+};
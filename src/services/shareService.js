@@ -0,0 +1,196 @@
+// Sharing objects: links to an object, one of its steps or its safety section, sent with
+// the Web Share API or copied to the clipboard, plus an optional share card image.
+import { isCuratedObject } from './objectLookup';
+
+// Generated objects exist only on the device that scanned them, so their content travels
+// in the link's #fragment (never sent to a server). Prefixes: 'z' deflated, 'j' plain JSON.
+const SHARED_DATA_PARAM = 'shared';
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Photos and local bookkeeping stay on this device
+const shareableFields = (object) => {
+    const content = { ...object };
+    delete content.timestamp;
+    delete content.cachedAt;
+    if (content.image && content.image.startsWith('data:')) content.image = null;
+    return content;
+};
+
+export const encodeSharedObject = async (object) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(shareableFields(object)));
+    if (typeof CompressionStream === 'undefined') {
+        return `j${toBase64Url(bytes)}`;
+    }
+    return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+};
+
+// Returns the object, or null for anything malformed or undecodable on this browser
+export const decodeSharedObject = async (encoded) => {
+    try {
+        const kind = encoded[0];
+        let bytes = fromBase64Url(encoded.slice(1));
+        if (kind === 'z') {
+            if (typeof DecompressionStream === 'undefined') return null;
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (kind !== 'j') {
+            return null;
+        }
+
+        const object = JSON.parse(new TextDecoder().decode(bytes));
+        const valid = object && typeof object.id === 'string' && typeof object.name === 'string' &&
+            Array.isArray(object.instructions);
+        return valid ? object : null;
+    } catch (error) {
+        console.warn('⚠️ Could not read shared object from link:', error);
+        return null;
+    }
+};
+
+// The encoded object from a location hash like "#shared=z…", or null
+export const getSharedDataFromHash = (hash) =>
+    new URLSearchParams((hash || '').replace(/^#/, '')).get(SHARED_DATA_PARAM);
+
+// `target` is { step } (1-based), { section: 'safety' } or nothing for the whole object
+export const buildShareUrl = async (object, target = {}) => {
+    const url = new URL(`/object/${encodeURIComponent(object.id)}`, window.location.origin);
+    if (target.step) url.searchParams.set('step', target.step);
+    if (target.section) url.searchParams.set('section', target.section);
+    if (!isCuratedObject(object.id)) {
+        url.hash = `${SHARED_DATA_PARAM}=${await encodeSharedObject(object)}`;
+    }
+    return url.toString();
+};
+
+export const describeShareTarget = (object, target = {}) => {
+    if (target.step) {
+        const step = object.instructions?.[target.step - 1];
+        return `${object.name}: Step ${target.step}${step ? ` – ${step.title}` : ''}`;
+    }
+    if (target.section === 'safety') return `${object.name}: Safety warnings`;
+    return object.name;
+};
+
+const SAFETY_COLORS = {
+    low: '#10B981',
+    medium: '#F59E0B',
+    high: '#EF4444',
+    critical: '#DC2626'
+};
+
+// Cuts `text` to fit `maxWidth` on the canvas, adding an ellipsis
+const fitText = (context, text, maxWidth) => {
+    if (context.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+};
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_STEPS = 3;
+
+// 1200×630 PNG card (the usual link-preview size): name, category, safety level and the
+// first steps. Resolves to a Blob.
+export const renderShareCard = (object) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+    const context = canvas.getContext('2d');
+    const padding = 64;
+    const textWidth = CARD_WIDTH - padding * 2;
+
+    const background = context.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    background.addColorStop(0, '#0f0f23');
+    background.addColorStop(1, '#1e1b4b');
+    context.fillStyle = background;
+    context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    context.fillStyle = '#94a3b8';
+    context.font = '600 28px system-ui, sans-serif';
+    context.fillText(fitText(context, object.category || '', textWidth), padding, 96);
+
+    context.fillStyle = '#f1f5f9';
+    context.font = 'bold 64px system-ui, sans-serif';
+    context.fillText(fitText(context, object.name, textWidth), padding, 176);
+
+    const level = object.safetyLevel || 'medium';
+    context.fillStyle = SAFETY_COLORS[level] || SAFETY_COLORS.medium;
+    context.beginPath();
+    context.arc(padding + 12, 232, 12, 0, Math.PI * 2);
+    context.fill();
+    context.font = '600 30px system-ui, sans-serif';
+    context.fillText(`${level.charAt(0).toUpperCase()}${level.slice(1)} risk`, padding + 40, 243);
+
+    context.font = '32px system-ui, sans-serif';
+    (object.instructions || []).slice(0, CARD_STEPS).forEach((step, index) => {
+        const y = 330 + index * 64;
+        context.fillStyle = '#4f46e5';
+        context.fillText(`${index + 1}`, padding, y);
+        context.fillStyle = '#e0e6ed';
+        context.fillText(fitText(context, step.title, textWidth - 48), padding + 48, y);
+    });
+
+    context.fillStyle = '#64748b';
+    context.font = '600 26px system-ui, sans-serif';
+    context.fillText('ObjectWise', padding, CARD_HEIGHT - 48);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render share card'))), 'image/png');
+    });
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Shares via the Web Share API when available, otherwise copies the link. Resolves to
+// { status: 'shared' | 'copied' | 'cancelled' | 'manual', url, card }, where 'manual'
+// means neither worked and the caller should show `url` for copying by hand, and `card`
+// is the image File when one was requested but couldn't be attached.
+export const shareObject = async (object, target = {}, { includeCard = false } = {}) => {
+    const url = await buildShareUrl(object, target);
+    const title = describeShareTarget(object, target);
+    const text = `How to use: ${title}`;
+
+    let card = null;
+    if (includeCard) {
+        try {
+            card = new File([await renderShareCard(object)], `${slugify(object.name)}-objectwise.png`, { type: 'image/png' });
+        } catch (error) {
+            console.warn('⚠️ Share card failed:', error);
+        }
+    }
+
+    if (navigator.share) {
+        const withCard = card && navigator.canShare && navigator.canShare({ files: [card] });
+        try {
+            await navigator.share(withCard ? { title, text, url, files: [card] } : { title, text, url });
+            return { status: 'shared', url, card: withCard ? null : card };
+        } catch (error) {
+            if (error.name === 'AbortError') return { status: 'cancelled', url, card: null };
+            console.warn('⚠️ Web Share failed, falling back to clipboard:', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        return { status: 'copied', url, card };
+    } catch (error) {
+        return { status: 'manual', url, card };
+    }
+};
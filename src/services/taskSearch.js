@@ -0,0 +1,74 @@
+// Task search: maps what the user wants to do ("cut onions") to an object and the
+// instruction step that covers it. Curated intents rank first; instruction titles, common
+// uses and step text cover everything else.
+import { objectDatabase } from '../data/objectDatabase';
+import { taskIntents } from '../data/taskIntents';
+import { createSearchIndex, tokenize } from '../utils/searchIndex';
+
+const TASK_FIELDS = [
+    { name: 'intents', weight: 10, get: task => task.intents.flatMap(intent => [intent.task, ...intent.phrases]) },
+    { name: 'title', weight: 6, get: task => task.title },
+    { name: 'uses', weight: 4, get: task => task.object.commonUses },
+    { name: 'object', weight: 3, get: task => [task.object.name, ...task.object.tags] },
+    {
+        name: 'details',
+        weight: 2,
+        get: task => [task.description, ...(task.substeps || []), ...(task.tips || [])]
+    }
+];
+
+// Steps scoring below this share of the best match are noise (a stray shared word)
+const MIN_RELATIVE_SCORE = 0.2;
+
+// "How do I …" style questions are task queries even in object search
+const TASK_QUERY_PATTERN = /^\s*(how\s+(do|can|should)\s+i|how\s+to|i\s+(want|need)\s+to)\b/i;
+
+export const isTaskQuery = (query) => TASK_QUERY_PATTERN.test(query);
+
+// One entry per instruction step, carrying the curated intents that point at it
+const buildTasks = () => objectDatabase.flatMap(obj =>
+    (obj.instructions || []).map((step, index) => ({
+        ...step,
+        object: obj,
+        step: index + 1,
+        intents: taskIntents.filter(intent => intent.objectId === obj.id && intent.step === index + 1)
+    })));
+
+let index = null;
+
+const getIndex = () => {
+    if (!index) {
+        index = createSearchIndex(buildTasks(), { fields: TASK_FIELDS });
+    }
+    return index;
+};
+
+const findMatchedIntent = (intents, words) => intents.find(intent =>
+    [intent.task, ...intent.phrases].some(phrase => tokenize(phrase).some(word => words.includes(word))));
+
+// Returns [{ object, step, stepTitle, intent, score, terms }], best step per object first
+export const searchTasks = (query, { category, limit = 8 } = {}) => {
+    const filter = category && category !== 'all'
+        ? task => task.object.category.toLowerCase() === category.toLowerCase()
+        : undefined;
+
+    const results = getIndex().search(query.replace(TASK_QUERY_PATTERN, ''), { filter });
+    const minScore = results.length > 0 ? results[0].score * MIN_RELATIVE_SCORE : 0;
+
+    const seen = new Set();
+    return results
+        .filter(({ item, score }) => {
+            if (score < minScore || seen.has(item.object.id)) return false;
+            seen.add(item.object.id);
+            return true;
+        })
+        .slice(0, limit)
+        .map(({ item, score, terms, matches }) => ({
+            object: item.object,
+            step: item.step,
+            stepTitle: item.title,
+            intent: matches.intents ? findMatchedIntent(item.intents, matches.intents) : null,
+            score,
+            terms
+        }));
+};
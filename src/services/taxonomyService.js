@@ -0,0 +1,183 @@
+// Active label taxonomy: the bundled table from data/labelTaxonomy.js, or a newer one
+// imported by an admin and persisted in cacheService
+import { labelTaxonomy } from '../data/labelTaxonomy';
+import { objectDatabase, objectCategories } from '../data/objectDatabase';
+import { cacheService } from './cacheService';
+
+// Generated objects may also use these categories, which have no curated objects yet
+const EXTRA_CATEGORIES = ['Sports Equipment', 'General Items'];
+
+let activeTaxonomy = labelTaxonomy;
+let activeSource = 'bundled';
+let entriesByLabel = new Map();
+
+const indexEntries = (entries) => {
+    const index = new Map();
+    entries.forEach(entry => {
+        index.set(entry.label, entry);
+        (entry.synonyms || []).forEach(synonym => {
+            // A label's own entry wins over another entry listing it as a synonym
+            if (!index.has(synonym)) index.set(synonym, entry);
+        });
+    });
+    return index;
+};
+
+const activate = (taxonomy, source) => {
+    activeTaxonomy = taxonomy;
+    activeSource = source;
+    entriesByLabel = indexEntries(taxonomy.entries);
+};
+
+activate(labelTaxonomy, 'bundled');
+
+export const getTaxonomyEntries = () => activeTaxonomy.entries;
+
+export const getTaxonomyInfo = () => ({
+    version: activeTaxonomy.version,
+    entryCount: activeTaxonomy.entries.length,
+    source: activeSource,
+    bundledVersion: labelTaxonomy.version
+});
+
+// Entry for a label or one of its synonyms (exact, case-insensitive)
+export const findTaxonomyEntry = (label) => entriesByLabel.get((label || '').toLowerCase().trim()) || null;
+
+// Returns { valid, errors, warnings }. Errors make a taxonomy unusable, including a synonym
+// listed by two entries (it can only map to one); warnings are likely mistakes worth a look.
+export const validateLabelTaxonomy = (taxonomy) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!taxonomy || typeof taxonomy !== 'object') {
+        return { valid: false, errors: ['Taxonomy must be an object with "version" and "entries"'], warnings };
+    }
+    if (!Number.isInteger(taxonomy.version) || taxonomy.version < 1) {
+        errors.push('"version" must be a positive integer');
+    }
+    if (!Array.isArray(taxonomy.entries)) {
+        errors.push('"entries" must be an array');
+        return { valid: false, errors, warnings };
+    }
+
+    const categories = [...objectCategories.map(category => category.name), ...EXTRA_CATEGORIES];
+    const objectIds = new Set(objectDatabase.map(obj => obj.id));
+    const labels = new Set();
+    const synonymOwners = new Map();
+
+    taxonomy.entries.forEach((entry, index) => {
+        const where = `Entry ${index + 1}${entry && entry.label ? ` ("${entry.label}")` : ''}`;
+
+        if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) {
+            errors.push(`${where}: "label" is required`);
+            return;
+        }
+        if (entry.label !== entry.label.toLowerCase().trim()) {
+            errors.push(`${where}: "label" must be lowercase without surrounding spaces`);
+        }
+        if (labels.has(entry.label)) {
+            errors.push(`${where}: duplicate label`);
+        }
+        labels.add(entry.label);
+
+        if (typeof entry.canonicalName !== 'string' || !entry.canonicalName.trim()) {
+            errors.push(`${where}: "canonicalName" is required`);
+        }
+        if (entry.synonyms !== undefined &&
+            (!Array.isArray(entry.synonyms) || entry.synonyms.some(synonym => typeof synonym !== 'string' || !synonym.trim()))) {
+            errors.push(`${where}: "synonyms" must be an array of non-empty strings`);
+        }
+        if (entry.category !== undefined && !categories.includes(entry.category)) {
+            errors.push(`${where}: unknown category "${entry.category}"`);
+        }
+        if (entry.objectId !== undefined && !objectIds.has(entry.objectId)) {
+            errors.push(`${where}: unknown objectId "${entry.objectId}"`);
+        }
+        if (!entry.category && !entry.objectId && !(entry.synonyms || []).length) {
+            errors.push(`${where}: needs at least a category, objectId or synonyms`);
+        }
+
+        (Array.isArray(entry.synonyms) ? entry.synonyms : []).forEach(synonym => {
+            if (synonym === entry.label) {
+                warnings.push(`${where}: lists its own label as a synonym`);
+            }
+            if (synonymOwners.has(synonym)) {
+                errors.push(`${where}: synonym "${synonym}" is also listed by "${synonymOwners.get(synonym)}"`);
+            } else {
+                synonymOwners.set(synonym, entry.label);
+            }
+        });
+    });
+
+    synonymOwners.forEach((owner, synonym) => {
+        if (labels.has(synonym) && synonym !== owner) {
+            warnings.push(`Synonym "${synonym}" of "${owner}" is also a label of its own`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+};
+
+// Merges entries by label (imported entries win) or replaces the whole table
+const combine = (current, imported, mode) => {
+    if (mode === 'replace') return imported;
+
+    const byLabel = new Map(current.entries.map(entry => [entry.label, entry]));
+    imported.entries.forEach(entry => byLabel.set(entry.label, entry));
+    return { ...imported, entries: [...byLabel.values()] };
+};
+
+// Validates, persists and activates an admin-supplied taxonomy (object or JSON string).
+// Returns the validation result plus the resulting taxonomy info when it was applied.
+export const importLabelTaxonomy = async (input, { mode = 'merge' } = {}) => {
+    let imported;
+    try {
+        imported = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch (error) {
+        return { valid: false, errors: [`Invalid JSON: ${error.message}`], warnings: [] };
+    }
+
+    const validation = validateLabelTaxonomy(imported);
+    if (!validation.valid) return validation;
+
+    if (imported.version < labelTaxonomy.version) {
+        return {
+            ...validation,
+            valid: false,
+            errors: [`Version ${imported.version} is older than the bundled taxonomy (version ${labelTaxonomy.version})`]
+        };
+    }
+
+    const combined = combine(activeTaxonomy, imported, mode);
+    const combinedValidation = validateLabelTaxonomy(combined);
+    if (!combinedValidation.valid) return combinedValidation;
+
+    await cacheService.saveLabelTaxonomy(combined);
+    activate(combined, 'imported');
+
+    return { ...combinedValidation, info: getTaxonomyInfo() };
+};
+
+export const resetLabelTaxonomy = async () => {
+    await cacheService.clearLabelTaxonomy();
+    activate(labelTaxonomy, 'bundled');
+    return getTaxonomyInfo();
+};
+
+// Uses a previously imported taxonomy unless the app now bundles a newer version
+export const loadStoredTaxonomy = async () => {
+    const bundled = validateLabelTaxonomy(labelTaxonomy);
+    if (!bundled.valid || bundled.warnings.length > 0) {
+        console.warn('⚠️ Bundled label taxonomy problems:', [...bundled.errors, ...bundled.warnings]);
+    }
+
+    const stored = await cacheService.getLabelTaxonomy();
+    if (!stored) return getTaxonomyInfo();
+
+    if (stored.version < labelTaxonomy.version || !validateLabelTaxonomy(stored).valid) {
+        return getTaxonomyInfo();
+    }
+
+    activate(stored, 'imported');
+    return getTaxonomyInfo();
+};
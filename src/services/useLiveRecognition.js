@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef } from 'react';
+import { getRecognitionProvider, normalizeRecognitionResult } from './recognitionProviders';
+import { matchToDatabase } from './objectMatcher';
+
+const LIVE_PROVIDER = 'on-device';
+const LIVE_SAMPLE_INTERVAL_MS = 800;
+const LIVE_FRAME_SIZE = 320;       // Longest side of the sampled frame, in pixels
+const LIVE_STABLE_FRAMES = 4;      // Consecutive frames agreeing before auto-capture
+const LIVE_MIN_CONFIDENCE = 50;
+
+// Samples frames from a playing <video> with the local recognizer and reports the current
+// best guess. Calls `onStable(candidate)` once the same object wins LIVE_STABLE_FRAMES
+// samples in a row, then stops. Sampling pauses while the tab is hidden.
+export const useLiveRecognition = ({ videoRef, enabled, onStable }) => {
+    const [guess, setGuess] = useState(null);
+    const [status, setStatus] = useState('idle');
+    const onStableRef = useRef(onStable);
+    onStableRef.current = onStable;
+
+    useEffect(() => {
+        if (!enabled) {
+            setGuess(null);
+            setStatus('idle');
+            return undefined;
+        }
+
+        const provider = getRecognitionProvider(LIVE_PROVIDER);
+        if (!provider) {
+            setStatus('unavailable');
+            return undefined;
+        }
+
+        const canvas = document.createElement('canvas');
+        let timer = null;
+        let busy = false;
+        let finished = false;
+        let streak = { id: null, count: 0 };
+
+        const stopSampling = () => {
+            clearInterval(timer);
+            timer = null;
+        };
+
+        const startSampling = () => {
+            if (timer || finished) return;
+            timer = setInterval(sampleFrame, LIVE_SAMPLE_INTERVAL_MS);
+            setStatus('running');
+        };
+
+        const sampleFrame = async () => {
+            const video = videoRef.current;
+            if (busy || !video || video.readyState < 2 || !video.videoWidth) return;
+
+            busy = true;
+            try {
+                const scale = LIVE_FRAME_SIZE / Math.max(video.videoWidth, video.videoHeight);
+                canvas.width = Math.round(video.videoWidth * scale);
+                canvas.height = Math.round(video.videoHeight * scale);
+                canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                const detections = normalizeRecognitionResult(await provider.recognize(canvas));
+                if (finished) return;
+
+                const [top] = detections ? matchToDatabase(detections.labels, { limit: 1, quiet: true }) : [];
+                const id = top ? top.object.id : null;
+                streak = id && id === streak.id
+                    ? { id, count: streak.count + 1 }
+                    : { id, count: id ? 1 : 0 };
+
+                if (top) {
+                    setGuess({ name: top.object.name, confidence: top.confidence, streak: streak.count });
+                } else if (detections && detections.labels[0]) {
+                    const [label] = detections.labels;
+                    setGuess({ name: label.description, confidence: Math.round(label.score * 100), streak: 0 });
+                } else {
+                    setGuess(null);
+                }
+
+                if (top && top.confidence >= LIVE_MIN_CONFIDENCE && streak.count >= LIVE_STABLE_FRAMES) {
+                    finished = true;
+                    stopSampling();
+                    setStatus('stable');
+                    onStableRef.current(top);
+                }
+            } catch (error) {
+                console.error('Live recognition failed:', error);
+                finished = true;
+                stopSampling();
+                setStatus('unavailable');
+            } finally {
+                busy = false;
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                stopSampling();
+                if (!finished) setStatus('paused');
+            } else {
+                startSampling();
+            }
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        if (!document.hidden) {
+            startSampling();
+        } else {
+            setStatus('paused');
+        }
+
+        return () => {
+            finished = true;
+            stopSampling();
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [enabled]);
+
+    return { guess, status, stableFrames: LIVE_STABLE_FRAMES };
+};
@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Chrome, Edge and Safari ship the Web Speech API prefixed; Firefox has none
+const getSpeechRecognition = () =>
+    (typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition)) || null;
+
+export const isSpeechRecognitionSupported = () => Boolean(getSpeechRecognition());
+
+const ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access was denied',
+    'service-not-allowed': 'Voice input is not allowed on this page',
+    'audio-capture': 'No microphone found',
+    network: 'Voice input needs a network connection'
+};
+
+// Errors that mean listening again would fail the same way
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+// Web Speech API voice input. Calls `onResult(transcript)` for each final phrase and
+// exposes the in-progress phrase as `interim`. With `continuous`, listening restarts when
+// the browser ends it after a silence, until `stop()` is called.
+export const useSpeechRecognition = ({ continuous = false, onResult }) => {
+    const [listening, setListening] = useState(false);
+    const [interim, setInterim] = useState('');
+    const [error, setError] = useState(null);
+    const recognitionRef = useRef(null);
+    const keepListeningRef = useRef(false);
+    const onResultRef = useRef(onResult);
+    onResultRef.current = onResult;
+
+    const supported = isSpeechRecognitionSupported();
+
+    const stop = () => {
+        keepListeningRef.current = false;
+        if (recognitionRef.current) {
+            recognitionRef.current.abort();
+            recognitionRef.current = null;
+        }
+        setListening(false);
+        setInterim('');
+    };
+
+    const start = () => {
+        const SpeechRecognition = getSpeechRecognition();
+        if (!SpeechRecognition || recognitionRef.current) return;
+
+        const recognition = new SpeechRecognition();
+        recognition.lang = navigator.language || 'en-US';
+        recognition.continuous = continuous;
+        recognition.interimResults = true;
+
+        recognition.onresult = (event) => {
+            let pending = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                if (result.isFinal) {
+                    const transcript = result[0].transcript.trim();
+                    if (transcript) onResultRef.current(transcript);
+                } else {
+                    pending += result[0].transcript;
+                }
+            }
+            setInterim(pending);
+        };
+
+        recognition.onerror = (event) => {
+            // Silence and our own abort() are not worth telling the user about
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+            setError(ERROR_MESSAGES[event.error] || 'Voice input failed');
+            if (FATAL_ERRORS.includes(event.error)) {
+                keepListeningRef.current = false;
+            }
+        };
+
+        recognition.onend = () => {
+            if (keepListeningRef.current && recognitionRef.current === recognition) {
+                try {
+                    recognition.start();
+                    return;
+                } catch (restartError) {
+                    console.warn('⚠️ Could not resume speech recognition:', restartError);
+                }
+            }
+            if (recognitionRef.current === recognition) {
+                recognitionRef.current = null;
+            }
+            keepListeningRef.current = false;
+            setListening(false);
+            setInterim('');
+        };
+
+        recognitionRef.current = recognition;
+        keepListeningRef.current = continuous;
+        setError(null);
+        try {
+            recognition.start();
+            setListening(true);
+        } catch (startError) {
+            recognitionRef.current = null;
+            keepListeningRef.current = false;
+            setError('Voice input failed');
+        }
+    };
+
+    useEffect(() => stop, []);
+
+    return { supported, listening, interim, error, start, stop };
+};
@@ -0,0 +1,2 @@
+// Runs before every test file (see jest.config.js). Tests that don't need a DOM opt into
+// the node environment with a `@jest-environment node` docblock.
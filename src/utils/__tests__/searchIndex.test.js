@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+import { createSearchIndex, stemWord, editDistance, highlightSegments } from '../searchIndex';
+
+const items = [
+    { id: 'screwdriver', name: 'Phillips Head Screwdriver', tags: ['hand tool'], category: 'Hand Tools', description: 'Drives cross-head screws' },
+    { id: 'drill', name: 'Cordless Drill', tags: ['power tool'], category: 'Power Tools', description: 'Bores holes in wood and metal' },
+    { id: 'knife', name: 'Chef\'s Knife', tags: ['cutting'], category: 'Kitchen', description: 'All-purpose kitchen blade' },
+    { id: 'bit-set', name: 'Bit Set', tags: ['accessory'], category: 'Power Tools', description: 'Fits any drill or driver' }
+];
+
+const index = createSearchIndex(items);
+const ids = (query) => index.search(query).map(result => result.item.id);
+
+describe('stemWord', () => {
+    it.each([
+        ['drilling', 'drill'],
+        ['cutting', 'cut'],
+        ['batteries', 'battery'],
+        ['charging', 'charg'],
+        ['charge', 'charg'],
+        ['v12', 'v12']
+    ])('stems %j to %j', (word, stem) => {
+        expect(stemWord(word)).toBe(stem);
+    });
+});
+
+describe('editDistance', () => {
+    it('counts a transposition as one edit', () => {
+        expect(editDistance('drlil', 'drill')).toBe(1);
+    });
+
+    it('gives up past the maximum', () => {
+        expect(editDistance('screwdriver', 'knife', 2)).toBe(3);
+    });
+});
+
+describe('createSearchIndex', () => {
+    it('finds a word with a typo', () => {
+        expect(ids('scewdriver')[0]).toBe('screwdriver');
+        expect(ids('knfe')[0]).toBe('knife');
+    });
+
+    it('matches other forms of a word through its stem', () => {
+        const [result] = index.search('drilling');
+        expect(result.item.id).toBe('drill');
+        expect(result.matches.name).toEqual(['drill']);
+    });
+
+    it('matches the start of a word', () => {
+        expect(ids('screw')).toContain('screwdriver');
+    });
+
+    it('does not allow typos in short words', () => {
+        expect(ids('bot')).toEqual([]);
+    });
+
+    it('ranks a name hit above a description hit', () => {
+        const results = index.search('drill');
+        expect(results.map(result => result.item.id)).toEqual(['drill', 'bit-set']);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+        expect(results[1].matches).toEqual({ description: ['drill'] });
+    });
+
+    it('ranks items matching more of the query first', () => {
+        expect(ids('power drill')[0]).toBe('drill');
+    });
+
+    it('ignores stop words and returns nothing for an empty query', () => {
+        expect(index.search('')).toEqual([]);
+        expect(index.search('how do i')).toEqual([]);
+    });
+
+    it('applies the filter and limit', () => {
+        expect(index.search('tool', { filter: item => item.category === 'Hand Tools' }).map(result => result.item.id))
+            .toEqual(['screwdriver']);
+        expect(index.search('tool', { limit: 1 })).toHaveLength(1);
+    });
+});
+
+describe('highlightSegments', () => {
+    it('marks the matched words', () => {
+        expect(highlightSegments('Cordless Drill', ['drill'])).toEqual([
+            { text: 'Cordless', match: false },
+            { text: ' ', match: false },
+            { text: 'Drill', match: true }
+        ]);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import { extractTextDetails, applyTextDetails } from '../textExtraction';
+
+describe('extractTextDetails', () => {
+    it('reads the brand, labeled model and keywords off a rating plate', () => {
+        const details = extractTextDetails(`
+            VOLTIX Cordless Drill/Driver
+            Model: VX-18D   18V  2.0Ah
+            Made in China   Serial 2023-04417
+        `);
+
+        expect(details).toEqual({
+            text: 'VOLTIX Cordless Drill/Driver Model: VX-18D 18V 2.0Ah Made in China Serial 2023-04417',
+            brand: 'Voltix',
+            modelNumber: 'VX-18D',
+            keywords: ['cordless', 'drill', 'driver']
+        });
+    });
+
+    it.each([
+        ['MOD. bh-1200.', 'BH-1200'],
+        ['Type LW-8014F 1400rpm', 'LW-8014F'],
+        ['M/N: sh-abc5', 'SH-ABC5'],
+        ['Model No. 4100-A', '4100-A']
+    ])('reads the model from %j', (text, model) => {
+        expect(extractTextDetails(text).modelNumber).toBe(model);
+    });
+
+    it('picks an unlabeled model-like token, skipping specs', () => {
+        const details = extractTextDetails('Makita 18V 1500W 13mm 2.0Ah XFD131 Driver-Drill');
+        expect(details.brand).toBe('Makita');
+        expect(details.modelNumber).toBe('XFD131');
+    });
+
+    it('finds no model in specs alone or in names with a number', () => {
+        expect(extractTextDetails('220-240V 50Hz 1500W 0.5-1.7L').modelNumber).toBeNull();
+        expect(extractTextDetails('Type: Lithium battery').modelNumber).toBeNull();
+        expect(extractTextDetails('Covid-19 safety kit').modelNumber).toBeNull();
+    });
+
+    it('matches multi-word and punctuated brands as whole words', () => {
+        expect(extractTextDetails('Hamilton Beach 12 cup').brand).toBe('Hamilton Beach');
+        expect(extractTextDetails('BLACK+DECKER drill').brand).toBe('Black+Decker');
+        expect(extractTextDetails('Glass bowl').brand).toBeNull();
+    });
+
+    it('keeps at most 10 distinct keywords', () => {
+        const { keywords } = extractTextDetails(
+            'alpha bravo charlie delta echo foxtrot golf hotel india juliet kilo lima alpha');
+        expect(keywords).toHaveLength(10);
+        expect(keywords[0]).toBe('alpha');
+        expect(keywords).not.toContain('kilo');
+    });
+
+    it.each([['an empty string', ''], ['whitespace', ' \n\t '], ['no text', null], ['undefined', undefined]])(
+        'returns null for %s',
+        (_, text) => {
+            expect(extractTextDetails(text)).toBeNull();
+        }
+    );
+});
+
+describe('applyTextDetails', () => {
+    const details = { text: 'BOSCH GSR 12V', brand: 'Bosch', modelNumber: 'GSR12V', keywords: [] };
+
+    it('adds the brand, model and text read off the object', () => {
+        expect(applyTextDetails({ id: 'drill-001' }, details))
+            .toEqual({ id: 'drill-001', brand: 'Bosch', model: 'GSR12V', recognizedText: 'BOSCH GSR 12V' });
+    });
+
+    it('keeps details the object already has', () => {
+        expect(applyTextDetails({ id: 'drill-001', brand: 'Voltix', model: 'VX-18D' }, details))
+            .toMatchObject({ brand: 'Voltix', model: 'VX-18D', recognizedText: 'BOSCH GSR 12V' });
+    });
+
+    it('leaves the object alone without details', () => {
+        const object = { id: 'drill-001' };
+        expect(applyTextDetails(object, null)).toBe(object);
+    });
+});
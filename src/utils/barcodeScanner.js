@@ -0,0 +1,75 @@
+// Reads UPC/EAN barcodes and QR codes from a photo. Uses the browser's BarcodeDetector
+// where it supports our formats and falls back to the zxing-wasm reader elsewhere
+// (Firefox, desktop Safari). The WASM reader is only downloaded on first use.
+import { loadImage } from './imageCanvas';
+
+const WASM_URL = process.env.REACT_APP_BARCODE_WASM_URL;
+
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'qr_code'];
+const ZXING_FORMATS = ['EAN13', 'EAN8', 'UPCA', 'UPCE', 'QRCode'];
+
+let nativeDetectorPromise = null;
+let zxingPromise = null;
+
+const getNativeDetector = () => {
+    if (!nativeDetectorPromise) {
+        nativeDetectorPromise = (async () => {
+            if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return null;
+
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = NATIVE_FORMATS.filter(format => supported.includes(format));
+            if (formats.length === 0) return null;
+
+            return new window.BarcodeDetector({ formats });
+        })().catch(() => null);
+    }
+    return nativeDetectorPromise;
+};
+
+const getZxingReader = () => {
+    if (!zxingPromise) {
+        zxingPromise = import('zxing-wasm/reader').then(zxing => {
+            // Self-hosted .wasm for offline use; otherwise zxing-wasm loads it from its CDN
+            if (WASM_URL) {
+                zxing.prepareZXingModule({
+                    overrides: { locateFile: (path, prefix) => path.endsWith('.wasm') ? WASM_URL : prefix + path }
+                });
+            }
+            return zxing;
+        }).catch(error => {
+            zxingPromise = null;
+            throw error;
+        });
+    }
+    return zxingPromise;
+};
+
+const toImageData = (image) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Returns [{ format, rawValue }] for every code found, in reading order
+export const scanBarcodes = async (imageData) => {
+    const image = await loadImage(imageData);
+
+    const detector = await getNativeDetector();
+    if (detector) {
+        const codes = await detector.detect(image);
+        return codes.map(code => ({ format: code.format, rawValue: code.rawValue }));
+    }
+
+    const zxing = await getZxingReader();
+    const results = await zxing.readBarcodes(toImageData(image), {
+        formats: ZXING_FORMATS,
+        tryHarder: true,
+        maxNumberOfSymbols: 4
+    });
+    return results
+        .filter(result => result.isValid)
+        .map(result => ({ format: result.format, rawValue: result.text }));
+};
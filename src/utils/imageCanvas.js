@@ -0,0 +1,55 @@
+// Canvas helpers for working with captured images as data URLs
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image'));
+    image.src = src;
+});
+
+// Rotates by a multiple of 90 degrees
+export const rotateImage = async (imageData, degrees, quality = 0.9) => {
+    const image = await loadImage(imageData);
+    const quarterTurns = ((Math.round(degrees / 90) % 4) + 4) % 4;
+    const swapSides = quarterTurns % 2 === 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swapSides ? image.naturalHeight : image.naturalWidth;
+    canvas.height = swapSides ? image.naturalWidth : image.naturalHeight;
+
+    const context = canvas.getContext('2d');
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate((quarterTurns * Math.PI) / 2);
+    context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+// Crops to a region given in source image pixels
+export const cropImage = async (imageData, region, quality = 0.9) => {
+    const image = await loadImage(imageData);
+    const x = Math.max(0, Math.round(region.x));
+    const y = Math.max(0, Math.round(region.y));
+    const width = Math.min(Math.round(region.width), image.naturalWidth - x);
+    const height = Math.min(Math.round(region.height), image.naturalHeight - y);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+// Small JPEG copy that fits within `maxDimension`, for storing alongside history entries
+export const createThumbnail = async (imageData, maxDimension = 320, quality = 0.7) => {
+    const image = await loadImage(imageData);
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', quality);
+};
@@ -0,0 +1,54 @@
+// Perceptual image hashing (dHash) for recognising the same picture across captures
+import { loadImage } from './imageCanvas';
+
+export const HASH_WIDTH = 9;
+export const HASH_HEIGHT = 8;
+
+// Difference hash of a HASH_WIDTH x HASH_HEIGHT RGBA pixel array (ImageData.data), as a
+// 16 character hex string. Split out so fixtures can be hashed without a canvas.
+export const hashPixels = (data) => {
+    const gray = [];
+    for (let i = 0; i < data.length; i += 4) {
+        gray.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+
+    let hash = '';
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        let nibble = 0;
+        for (let col = 0; col < HASH_WIDTH - 1; col++) {
+            const index = row * HASH_WIDTH + col;
+            nibble = (nibble << 1) | (gray[index] > gray[index + 1] ? 1 : 0);
+            if (col % 4 === 3) {
+                hash += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hash;
+};
+
+// Returns a 64-bit difference hash as a 16 character hex string
+export const computeImageHash = async (imageData) => {
+    const image = await loadImage(imageData);
+    const canvas = document.createElement('canvas');
+    canvas.width = HASH_WIDTH;
+    canvas.height = HASH_HEIGHT;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+    return hashPixels(context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data);
+};
+
+export const hammingDistance = (hashA, hashB) => {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
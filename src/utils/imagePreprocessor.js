@@ -0,0 +1,200 @@
+// Prepares captured images before they are sent to a recognition provider:
+// upright orientation, provider-sized dimensions, normalized exposure and a quick
+// blur/darkness check so obviously bad photos don't cost an API call.
+import { loadImage } from './imageCanvas';
+
+const ANALYSIS_SIZE = 256;              // Quality checks run on a small copy of the image
+const DARK_BRIGHTNESS = 45;             // Mean luminance (0-255) below this is too dark
+const BLUR_VARIANCE = 60;               // Laplacian variance below this looks blurry
+const EXPOSURE_CLIP_PERCENT = 0.01;     // Ignore the darkest/brightest 1% when stretching levels
+const MAX_EXPOSURE_GAIN = 2.5;          // Don't amplify sensor noise in near-black photos
+
+// Approximate decoded size of a base64 data URL
+export const dataUrlBytes = (dataUrl) => {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    return Math.round(base64.length * 3 / 4);
+};
+
+const formatBytes = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+
+// EXIF orientation tag (1-8) of a JPEG data URL, 1 when missing
+export const readExifOrientation = (dataUrl) => {
+    if (!dataUrl.startsWith('data:image/jpeg')) return 1;
+
+    // The EXIF block sits at the start of the file; 64 KB of base64 is plenty
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1, dataUrl.indexOf(',') + 1 + 65536);
+    const binary = atob(base64.slice(0, base64.length - (base64.length % 4)));
+    const view = new DataView(Uint8Array.from(binary, char => char.charCodeAt(0)).buffer);
+
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00) break;
+
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            const littleEndian = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+            const entries = view.getUint16(ifd, littleEndian);
+
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 10 > view.byteLength) break;
+                if (view.getUint16(entry, littleEndian) === 0x0112) {
+                    return view.getUint16(entry + 8, littleEndian);
+                }
+            }
+            return 1;
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return 1;
+};
+
+// Recent browsers already apply EXIF orientation when decoding images
+const browserAppliesOrientation = () =>
+    typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+
+// Canvas transform for each EXIF orientation, given the stored width/height
+const orientationTransforms = {
+    2: (w) => [-1, 0, 0, 1, w, 0],
+    3: (w, h) => [-1, 0, 0, -1, w, h],
+    4: (w, h) => [1, 0, 0, -1, 0, h],
+    5: () => [0, 1, 1, 0, 0, 0],
+    6: (w, h) => [0, 1, -1, 0, h, 0],
+    7: (w, h) => [0, -1, -1, 0, h, w],
+    8: (w) => [0, -1, 1, 0, 0, w]
+};
+
+// Returns an upright copy of an uploaded photo. Camera captures come from a canvas and
+// never carry EXIF, so this is only needed for uploads.
+export const fixImageOrientation = async (dataUrl, quality = 0.92) => {
+    const orientation = readExifOrientation(dataUrl);
+    if (orientation === 1 || !orientationTransforms[orientation] || browserAppliesOrientation()) {
+        return dataUrl;
+    }
+
+    const image = await loadImage(dataUrl);
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const swapSides = orientation >= 5;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swapSides ? height : width;
+    canvas.height = swapSides ? width : height;
+
+    const context = canvas.getContext('2d');
+    context.transform(...orientationTransforms[orientation](width, height));
+    context.drawImage(image, 0, 0);
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+const drawScaled = (image, maxDimension) => {
+    const scale = maxDimension
+        ? Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight))
+        : 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+const toLuminance = (pixels) => {
+    const luminance = new Float32Array(pixels.length / 4);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+    }
+    return luminance;
+};
+
+// Brightness (mean luminance) and sharpness (variance of the Laplacian) of a photo
+export const analyzeImageQuality = async (dataUrl) => {
+    const image = await loadImage(dataUrl);
+    const canvas = drawScaled(image, ANALYSIS_SIZE);
+    const { width, height } = canvas;
+    const luminance = toLuminance(canvas.getContext('2d').getImageData(0, 0, width, height).data);
+
+    const brightness = luminance.reduce((sum, value) => sum + value, 0) / luminance.length;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = luminance[i - width] + luminance[i + width] +
+                luminance[i - 1] + luminance[i + 1] - 4 * luminance[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const sharpness = count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+
+    return {
+        brightness: Math.round(brightness),
+        sharpness: Math.round(sharpness),
+        isDark: brightness < DARK_BRIGHTNESS,
+        // Very dark photos have little detail either way; only call them dark
+        isBlurry: brightness >= DARK_BRIGHTNESS && sharpness < BLUR_VARIANCE
+    };
+};
+
+// Stretches luminance levels so the darkest/brightest pixels span the full range
+const normalizeExposure = (canvas) => {
+    const context = canvas.getContext('2d');
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = imageData.data;
+    const luminance = toLuminance(pixels);
+
+    const histogram = new Array(256).fill(0);
+    luminance.forEach(value => { histogram[Math.min(255, Math.round(value))]++; });
+
+    const clip = luminance.length * EXPOSURE_CLIP_PERCENT;
+    let low = 0;
+    let high = 255;
+    for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) seen += histogram[low];
+    for (let seen = 0; high > 0 && seen + histogram[high] <= clip; high--) seen += histogram[high];
+
+    const gain = Math.min(255 / Math.max(high - low, 1), MAX_EXPOSURE_GAIN);
+    if (high <= low || gain < 1.1) return false;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] = (pixels[i] - low) * gain;
+        pixels[i + 1] = (pixels[i + 1] - low) * gain;
+        pixels[i + 2] = (pixels[i + 2] - low) * gain;
+    }
+    context.putImageData(imageData, 0, 0);
+    return true;
+};
+
+// Resizes to fit `maxDimension` and normalizes exposure. Returns the processed data URL
+// plus size stats; the original is returned untouched when `maxDimension` is not set.
+export const preprocessImage = async (dataUrl, { maxDimension, quality = 0.85, label = 'image' } = {}) => {
+    const originalBytes = dataUrlBytes(dataUrl);
+    if (!maxDimension) {
+        return { image: dataUrl, originalBytes, processedBytes: originalBytes };
+    }
+
+    const image = await loadImage(dataUrl);
+    const canvas = drawScaled(image, maxDimension);
+    const exposureAdjusted = normalizeExposure(canvas);
+    const processed = canvas.toDataURL('image/jpeg', quality);
+    const processedBytes = dataUrlBytes(processed);
+
+    // Never send something bigger than what we started with
+    if (processedBytes >= originalBytes && !exposureAdjusted) {
+        return { image: dataUrl, originalBytes, processedBytes: originalBytes };
+    }
+
+    const saved = Math.round((1 - processedBytes / originalBytes) * 100);
+    console.log(`📦 Preprocessed ${label}: ${image.naturalWidth}x${image.naturalHeight} ${formatBytes(originalBytes)} → ` +
+        `${canvas.width}x${canvas.height} ${formatBytes(processedBytes)} (${saved >= 0 ? '-' : '+'}${Math.abs(saved)}%)` +
+        (exposureAdjusted ? ', exposure normalized' : ''));
+
+    return { image: processed, originalBytes, processedBytes };
+};
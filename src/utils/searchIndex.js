@@ -0,0 +1,240 @@
+// Small in-memory full-text index. Fields are tokenized and lightly stemmed, query terms
+// tolerate typos (edit distance) and partial words, and matches are scored by field weight.
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with',
+    'my', 'your', 'is', 'it', 'i', 'do', 'does', 'how', 'what'
+]);
+
+// Name > tags > category > description
+export const DEFAULT_SEARCH_FIELDS = [
+    { name: 'name', weight: 10, get: item => item.name },
+    { name: 'tags', weight: 6, get: item => item.tags },
+    { name: 'category', weight: 4, get: item => item.category },
+    { name: 'description', weight: 2, get: item => item.description }
+];
+
+const PREFIX_QUALITY = 0.75;
+const TYPO_QUALITY = [1, 0.7, 0.45];
+
+export const tokenize = (text) =>
+    (String(text || '').toLowerCase().replace(/'/g, '').match(/[a-z0-9]+/g) || [])
+        .filter(word => !STOP_WORDS.has(word));
+
+// "cutting" -> "cut", "cleaning" -> "clean", "batteries" -> "battery", "blades" -> "blad"
+const undouble = (word) =>
+    /([^aeiouls])\1$/.test(word) ? word.slice(0, -1) : word;
+
+export const stemWord = (word) => {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('ies') && stem.length > 4) {
+        stem = `${stem.slice(0, -3)}y`;
+    } else if (/(ches|shes|sses|xes|zes)$/.test(stem)) {
+        stem = stem.slice(0, -2);
+    } else if (stem.endsWith('ing') && stem.length > 5) {
+        stem = undouble(stem.slice(0, -3));
+    } else if (stem.endsWith('ed') && stem.length > 4) {
+        stem = undouble(stem.slice(0, -2));
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    // "charge"/"charging" and "replace"/"replaced" should meet at the same stem
+    if (stem.length > 4 && stem.endsWith('e') && !stem.endsWith('ee')) {
+        stem = stem.slice(0, -1);
+    }
+    return stem;
+};
+
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// Optimal string alignment distance (a transposition counts as one edit), giving up
+// once the distance is known to exceed `max`
+export const editDistance = (a, b, max = Infinity) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+// Field values are strings, or { text, ref } when a match should point somewhere specific
+const toValues = (value) =>
+    (Array.isArray(value) ? value : [value])
+        .filter(Boolean)
+        .map(entry => (typeof entry === 'string' ? { text: entry, ref: null } : entry));
+
+// How well an indexed term matches a query term: 1 exact, less for a prefix or typo.
+// Typos are also measured between the unstemmed words, since a misspelt word may not stem
+// like the real one ("knfe" is two edits from the stem "knif" but one from "knife").
+const termQuality = ({ word, term: queryTerm }, term, surfaces) => {
+    if (term === queryTerm) return 1;
+    if (queryTerm.length >= 3 && term.startsWith(queryTerm)) return PREFIX_QUALITY;
+
+    const max = allowedTypos(queryTerm);
+    if (max === 0) return 0;
+    const distance = Math.min(
+        editDistance(queryTerm, term, max),
+        ...[...surfaces].map(surface => editDistance(word, surface, max))
+    );
+    return distance <= max ? TYPO_QUALITY[distance] : 0;
+};
+
+// Builds an index over `items`. Each field is { name, weight, get(item) } where `get`
+// returns a string, { text, ref }, or an array of either.
+export const createSearchIndex = (items, { fields = DEFAULT_SEARCH_FIELDS } = {}) => {
+    // stem -> [{ itemIndex, field, surface, location }]
+    const postings = new Map();
+    // stem -> Set of the words it was stemmed from
+    const surfacesByTerm = new Map();
+    // Values with a ref: { field, ref, text }, referenced by index from postings
+    const locations = [];
+
+    items.forEach((item, itemIndex) => {
+        fields.forEach(field => {
+            toValues(field.get(item)).forEach(({ text, ref }) => {
+                let location = -1;
+                if (ref) {
+                    location = locations.length;
+                    locations.push({ field: field.name, ref, text });
+                }
+                tokenize(text).forEach(surface => {
+                    const term = stemWord(surface);
+                    if (!postings.has(term)) {
+                        postings.set(term, []);
+                        surfacesByTerm.set(term, new Set());
+                    }
+                    postings.get(term).push({ itemIndex, field, surface, location });
+                    surfacesByTerm.get(term).add(surface);
+                });
+            });
+        });
+    });
+
+    const vocabulary = [...postings.keys()];
+
+    // Returns [{ item, score, matches: { [field]: [words] }, terms: [words], location }],
+    // best first. Items matching more of the query's words rank above ones matching fewer.
+    // `location` is the { field, ref, text } value that matched the query better than the
+    // item's plain fields did, or null.
+    const search = (query, { limit = Infinity, filter } = {}) => {
+        // { word, term }: each stem once, with the word as typed
+        const queryTerms = [];
+        tokenize(query).forEach(word => {
+            const term = stemWord(word);
+            if (!queryTerms.some(queryTerm => queryTerm.term === term)) queryTerms.push({ word, term });
+        });
+        if (queryTerms.length === 0) return [];
+
+        const hits = new Map();
+        const getHit = (itemIndex) => {
+            if (!hits.has(itemIndex)) {
+                hits.set(itemIndex, {
+                    score: 0,
+                    matchedTerms: new Set(),
+                    plainTerms: new Set(),
+                    matches: {},
+                    locations: new Map()
+                });
+            }
+            return hits.get(itemIndex);
+        };
+
+        queryTerms.forEach(({ word, term: queryTerm }) => {
+            // Best quality per item and field (a field counts once however many values
+            // match), and per located value
+            const bestByField = new Map();
+            const bestByLocation = new Map();
+
+            vocabulary.forEach(term => {
+                const quality = termQuality({ word, term: queryTerm }, term, surfacesByTerm.get(term));
+                if (quality === 0) return;
+
+                postings.get(term).forEach(({ itemIndex, field, surface, location }) => {
+                    const keep = (map, key) => {
+                        const current = map.get(key);
+                        if (!current || quality > current.quality) {
+                            map.set(key, { itemIndex, field, location, quality, surfaces: new Set([surface]) });
+                        } else if (quality === current.quality) {
+                            current.surfaces.add(surface);
+                        }
+                    };
+                    keep(bestByField, `${itemIndex}:${field.name}`);
+                    if (location >= 0) keep(bestByLocation, location);
+                });
+            });
+
+            bestByField.forEach(({ itemIndex, field, location, quality, surfaces }) => {
+                const hit = getHit(itemIndex);
+                hit.score += field.weight * quality;
+                hit.matchedTerms.add(queryTerm);
+                if (location < 0) hit.plainTerms.add(queryTerm);
+                hit.matches[field.name] = [...new Set([...(hit.matches[field.name] || []), ...surfaces])];
+            });
+
+            bestByLocation.forEach(({ itemIndex, field, location, quality }) => {
+                const hit = getHit(itemIndex);
+                const current = hit.locations.get(location) || { score: 0, terms: new Set() };
+                current.score += field.weight * quality;
+                current.terms.add(queryTerm);
+                hit.locations.set(location, current);
+            });
+        });
+
+        // The located value covering the most query words (ties: highest score, then the
+        // earliest field), if it covers more of them than the plain fields do
+        const pickLocation = (hit) => {
+            let best = null;
+            hit.locations.forEach((candidate, location) => {
+                if (!best ||
+                    candidate.terms.size > best.terms.size ||
+                    (candidate.terms.size === best.terms.size && candidate.score > best.score) ||
+                    (candidate.terms.size === best.terms.size && candidate.score === best.score && location < best.location)) {
+                    best = { ...candidate, location };
+                }
+            });
+            return best && best.terms.size > hit.plainTerms.size ? locations[best.location] : null;
+        };
+
+        return [...hits.entries()]
+            .map(([itemIndex, hit]) => ({
+                item: items[itemIndex],
+                score: hit.score * (hit.matchedTerms.size / queryTerms.length),
+                matches: hit.matches,
+                terms: [...new Set(Object.values(hit.matches).flat())],
+                location: pickLocation(hit)
+            }))
+            .filter(result => !filter || filter(result.item))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    };
+
+    return { search, size: items.length };
+};
+
+// Splits `text` into [{ text, match }] segments so matched words can be highlighted
+export const highlightSegments = (text, words) => {
+    const matched = new Set((words || []).map(word => word.toLowerCase()));
+    return String(text || '')
+        .split(/([A-Za-z0-9']+)/)
+        .filter(part => part !== '')
+        .map(part => ({ text: part, match: matched.has(part.toLowerCase().replace(/'/g, '')) }));
+};
@@ -0,0 +1,78 @@
+// Pulls brand names, model numbers and useful words out of text read from a photo (OCR)
+import { productIndex } from '../data/productIndex';
+
+// Common brands for the kinds of objects we scan; product index brands are added below
+const KNOWN_BRANDS = [
+    'Apple', 'Black+Decker', 'Bosch', 'Breville', 'Craftsman', 'Cuisinart', 'DeWalt',
+    'Electrolux', 'First Alert', 'Giant', 'Google', 'Hamilton Beach', 'Keurig', 'Kidde',
+    'KitchenAid', 'LG', 'Makita', 'Milwaukee', 'Mr. Coffee', 'Philips', 'Ryobi', 'Samsung',
+    'Sony', 'Specialized', 'Stanley', 'Trek', 'Victorinox', 'Whirlpool', 'Wüsthof', 'Xiaomi',
+    'Zwilling'
+];
+
+const MIN_KEYWORD_LENGTH = 4;
+// Words every rating plate has; they say nothing about what the object is
+const LABEL_STOP_WORDS = ['model', 'type', 'serial', 'made', 'china', 'warning', 'caution', 'input', 'output', 'volts', 'watts'];
+const MAX_KEYWORDS = 10;
+
+// Ratings and sizes look like model numbers but aren't: 18V, 1500W, 2.0Ah, 13mm, 220-240V...
+const MEASUREMENT = /^\d+(\.\d+)?(-\d+(\.\d+)?)?(v|w|kw|mah|ah|mm|cm|m|kg|g|lb|lbs|oz|rpm|nm|l|ml|hz|in)$/i;
+// Model numbers always contain a digit: "Type: Lithium battery" names no model
+const LABELED_MODEL = /\b(?:model|mod\.?|type|m\/n)\s*(?:no\.?|number|#)?\s*[:.#]?\s*((?=[A-Z0-9\-/.]*\d)[A-Z0-9][A-Z0-9\-/.]{2,})/i;
+const MODEL_LIKE = /^(?=.*\d)(?=.*[A-Z])[A-Z0-9][A-Z0-9\-/.]{3,}$/i;
+// A word with a short number tacked on (Covid-19, Windows-11) is a name, not a model
+const NAME_WITH_NUMBER = /^[A-Z]{4,}-\d{1,2}$/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const allBrands = () => [...new Set([...productIndex.map(product => product.brand), ...KNOWN_BRANDS])];
+
+const findBrand = (text) => {
+    return allBrands().find(brand =>
+        new RegExp(`(^|[^a-z0-9])${escapeRegExp(brand)}($|[^a-z0-9])`, 'i').test(text)
+    ) || null;
+};
+
+const findModelNumber = (text, tokens) => {
+    const labeled = text.match(LABELED_MODEL);
+    if (labeled) return labeled[1].replace(/[.\-/]+$/, '').toUpperCase();
+
+    const candidate = tokens.find(token =>
+        MODEL_LIKE.test(token) && !MEASUREMENT.test(token) && !NAME_WITH_NUMBER.test(token));
+    return candidate ? candidate.toUpperCase() : null;
+};
+
+// Returns null when there is no text, otherwise:
+//   { text, brand, modelNumber, keywords }
+// `keywords` are plain words (no brand, no numbers) that can help label matching.
+export const extractTextDetails = (rawText) => {
+    const text = (rawText || '').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    const tokens = text.split(/[\s,;:()]+/).filter(Boolean);
+    const brand = findBrand(text);
+    const modelNumber = findModelNumber(text, tokens);
+
+    const brandWords = brand ? brand.toLowerCase().split(/\s+/) : [];
+    const keywords = [...new Set(
+        tokens
+            .flatMap(token => token.toLowerCase().split(/[/\-+]/))
+            .filter(word => /^[a-z]+$/.test(word) && word.length >= MIN_KEYWORD_LENGTH)
+            .filter(word => !brandWords.includes(word) && !LABEL_STOP_WORDS.includes(word))
+    )].slice(0, MAX_KEYWORDS);
+
+    return { text, brand, modelNumber, keywords };
+};
+
+// Adds what was read off the object to a recognized object; details the object
+// already has (e.g. from a barcode product) win over OCR guesses
+export const applyTextDetails = (object, details) => {
+    if (!object || !details) return object;
+
+    return {
+        ...object,
+        ...(!object.brand && details.brand && { brand: details.brand }),
+        ...(!object.model && details.modelNumber && { model: details.modelNumber }),
+        recognizedText: details.text
+    };
+};
@@ -43,12 +43,20 @@ module.exports = {
     }),
     new webpack.DefinePlugin({
       'process.env': {
-        'REACT_APP_GOOGLE_VISION_API_KEY': JSON.stringify(process.env.REACT_APP_GOOGLE_VISION_API_KEY)
+        'REACT_APP_VISION_PROXY_URL': JSON.stringify(process.env.REACT_APP_VISION_PROXY_URL),
+        'REACT_APP_ON_DEVICE_MODEL_URL': JSON.stringify(process.env.REACT_APP_ON_DEVICE_MODEL_URL),
+        'REACT_APP_BARCODE_WASM_URL': JSON.stringify(process.env.REACT_APP_BARCODE_WASM_URL),
+        'REACT_APP_ERROR_REPORT_URL': JSON.stringify(process.env.REACT_APP_ERROR_REPORT_URL)
       }
     }),
     new GenerateSW({
       clientsClaim: true,
       skipWaiting: true,
+      // Precache the lazily loaded TensorFlow.js chunks so on-device recognition works offline
+      maximumFileSizeToCacheInBytes: 8 * 1024 * 1024,
+      // Client-side routes (/object/:id, /library, ...) open offline from the app shell
+      navigateFallback: '/index.html',
+      navigateFallbackDenylist: [/^\/api\//],
       runtimeCaching: [
         {
           urlPattern: /^https:\/\/fonts\.googleapis\.com/,
@@ -58,10 +66,37 @@ module.exports = {
           }
         },
         {
-          urlPattern: /^https:\/\/vision\.googleapis\.com/,
-          handler: 'NetworkFirst',
+          // On-device classifier weights (TF Hub / Kaggle / GCS mirrors or a self-hosted /models/ path)
+          urlPattern: ({ url }) => /^(tfhub\.dev|www\.kaggle\.com|storage\.googleapis\.com)$/.test(url.hostname) ||
+            url.pathname.startsWith('/models/'),
+          handler: 'CacheFirst',
           options: {
-            cacheName: 'vision-api'
+            cacheName: 'on-device-model',
+            cacheableResponse: {
+              statuses: [0, 200]
+            }
+          }
+        },
+        {
+          // Object and step images; the library also fills this cache when an object is saved
+          urlPattern: ({ url }) => url.pathname.startsWith('/images/'),
+          handler: 'CacheFirst',
+          options: {
+            cacheName: 'object-images',
+            cacheableResponse: {
+              statuses: [0, 200]
+            }
+          }
+        },
+        {
+          // zxing-wasm barcode reader (CDN default or a self-hosted /wasm/ path)
+          urlPattern: ({ url }) => url.pathname.endsWith('zxing_reader.wasm'),
+          handler: 'CacheFirst',
+          options: {
+            cacheName: 'barcode-reader',
+            cacheableResponse: {
+              statuses: [0, 200]
+            }
           }
         }
       ]
@@ -70,7 +105,12 @@ module.exports = {
   devServer: {
     historyApiFallback: true,
     hot: true,
-    port: 3000
+    port: 3000,
+    proxy: {
+      // Error reports go to the mock report server (npm run reports:mock), the rest to the vision proxy
+      '/api/reports': 'http://localhost:3002',
+      '/api': 'http://localhost:3001'
+    }
   },
   resolve: {
     extensions: ['.js', '.jsx']